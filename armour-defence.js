@@ -0,0 +1,184 @@
+/**
+ * Path of Exile 2 Armour Defence Formulas
+ *
+ * The defence counterpart to weapon-dps.js for armour pieces (body armours, helmets,
+ * gloves, boots, shields, foci).
+ *
+ * Forward: Calculate armour, evasion and energy shield from base stats + local modifiers.
+ * Reverse: Derive base defences from final displayed values + known local modifiers.
+ *
+ * Sources:
+ * - PoE 2 Wiki: Armour, Evasion, Energy Shield, Quality
+ * - Mobalytics: Damage & Defence Order of Operations
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Defences handled here: output key, and the suffix of their base/flat/increased inputs.
+   */
+  const DEFENCES = [
+    { key: 'armour', mod: 'Armour' },
+    { key: 'evasion', mod: 'Evasion' },
+    { key: 'energyShield', mod: 'EnergyShield' },
+  ];
+
+  /**
+   * @typedef {Object} DefenceModifiers
+   * @property {number} [flatArmour=0] - Local "+X to Armour"
+   * @property {number} [flatEvasion=0] - Local "+X to Evasion Rating"
+   * @property {number} [flatEnergyShield=0] - Local "+X to maximum Energy Shield"
+   * @property {number} [increasedArmour=0] - e.g. 80 for 80%; hybrid mods count towards each
+   * @property {number} [increasedEvasion=0]
+   * @property {number} [increasedEnergyShield=0]
+   * @property {number} [quality=0] - e.g. 20 for 20%
+   */
+
+  /**
+   * @typedef {Object} BaseDefenceStats
+   * @property {number} baseArmour
+   * @property {number} baseEvasion
+   * @property {number} baseEnergyShield
+   */
+
+  /**
+   * @typedef {Object} FinalDefenceStats
+   * @property {number} [armour=0] - Final displayed armour
+   * @property {number} [evasion=0] - Final displayed evasion rating
+   * @property {number} [energyShield=0] - Final displayed energy shield
+   */
+
+  /**
+   * @typedef {Object} DefenceOutputs
+   * @property {number} armour
+   * @property {number} evasion
+   * @property {number} energyShield
+   * @property {number} totalDefence - armour + evasion + energy shield
+   */
+
+  // ===========================================================================
+  // FORWARD: Base + Modifiers → Final defences
+  // ===========================================================================
+
+  /**
+   * Calculate an armour piece's defences from base stats and local modifiers.
+   *
+   * Order of operations, per defence:
+   * 1. Flat = base + all local flat (affixes, runes)
+   * 2. × (1 + increased%) — single and hybrid "increased" mods add up
+   * 3. × (1 + quality%) — Quality applies last, as for weapon physical damage
+   *
+   * @param {BaseDefenceStats & DefenceModifiers} input
+   * @returns {DefenceOutputs}
+   */
+  function calcDefences(input) {
+    const qualityMult = 1 + (input.quality ?? 0) / 100;
+    const out = {};
+    for (const { key, mod } of DEFENCES) {
+      const flat = (input[`base${mod}`] ?? 0) + (input[`flat${mod}`] ?? 0);
+      out[key] = flat * (1 + (input[`increased${mod}`] ?? 0) / 100) * qualityMult;
+    }
+    return {
+      armour: out.armour,
+      evasion: out.evasion,
+      energyShield: out.energyShield,
+      totalDefence: out.armour + out.evasion + out.energyShield,
+    };
+  }
+
+  // ===========================================================================
+  // REVERSE: Final displayed values + known modifiers → Base defences
+  // ===========================================================================
+
+  /**
+   * Reverse-engineer base defences from final displayed values.
+   *
+   * final = (base + flat) × (1 + increased%) × (1 + quality%)
+   *   → base = final / [(1 + increased%) × (1 + quality%)] - flat
+   *
+   * A defence the item does not show has a base of 0.
+   *
+   * @param {FinalDefenceStats} final
+   * @param {DefenceModifiers} mods
+   * @returns {BaseDefenceStats}
+   */
+  function reverseEngineerDefenceBase(final, mods = {}) {
+    const qualityMult = 1 + (mods.quality ?? 0) / 100;
+    const base = {};
+    for (const { key, mod } of DEFENCES) {
+      const shown = final[key] ?? 0;
+      const scale = (1 + (mods[`increased${mod}`] ?? 0) / 100) * qualityMult;
+      base[`base${mod}`] = shown > 0 ? Math.max(0, shown / scale - (mods[`flat${mod}`] ?? 0)) : 0;
+    }
+    return base;
+  }
+
+  /**
+   * Combine a (reverse-engineered) base with modifiers into calcDefences input.
+   *
+   * @param {BaseDefenceStats} base
+   * @param {DefenceModifiers} [mods]
+   */
+  function buildDefenceInputs(base, mods = {}) {
+    return {
+      baseArmour: base.baseArmour ?? 0,
+      baseEvasion: base.baseEvasion ?? 0,
+      baseEnergyShield: base.baseEnergyShield ?? 0,
+      flatArmour: mods.flatArmour ?? 0,
+      flatEvasion: mods.flatEvasion ?? 0,
+      flatEnergyShield: mods.flatEnergyShield ?? 0,
+      increasedArmour: mods.increasedArmour ?? 0,
+      increasedEvasion: mods.increasedEvasion ?? 0,
+      increasedEnergyShield: mods.increasedEnergyShield ?? 0,
+      quality: mods.quality ?? 0,
+    };
+  }
+
+  /**
+   * Re-evaluate an armour piece at a different quality (Armourer's Scraps).
+   *
+   * @param {BaseDefenceStats} base
+   * @param {DefenceModifiers} mods
+   * @param {number} quality - e.g. 20 for 20%
+   * @returns {DefenceOutputs}
+   */
+  function projectDefencesAtQuality(base, mods, quality) {
+    return calcDefences(buildDefenceInputs(base, { ...mods, quality }));
+  }
+
+  /**
+   * Short label for the defences an item has, e.g. "AR", "EV+ES".
+   *
+   * @param {FinalDefenceStats|DefenceOutputs} stats
+   * @returns {string}
+   */
+  function describeDefenceTypes(stats) {
+    const parts = [];
+    if (stats.armour > 0) parts.push('AR');
+    if (stats.evasion > 0) parts.push('EV');
+    if (stats.energyShield > 0) parts.push('ES');
+    return parts.join('+') || 'DEF';
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.armourDefence = {
+      calcDefences,
+      reverseEngineerDefenceBase,
+      buildDefenceInputs,
+      projectDefencesAtQuality,
+      describeDefenceTypes,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      calcDefences,
+      reverseEngineerDefenceBase,
+      buildDefenceInputs,
+      projectDefencesAtQuality,
+      describeDefenceTypes,
+    };
+  }
+})();
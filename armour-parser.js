@@ -0,0 +1,239 @@
+/**
+ * Parse armour listing HTML from PoE 2 trade site.
+ * Extracts final defences and local defence modifiers for armour-defence.js.
+ *
+ * DOM structure reference (from trade site):
+ * - Defences: [data-field="ar"], [data-field="ev"], [data-field="es"], plus [data-field="quality"]
+ * - Modifiers: [data-field^="stat."] spans, runes under [data-field^="stat.rune."]
+ *
+ * Header, sockets, rarity and corruption are read with weapon-parser.js, which must load first.
+ */
+
+(function () {
+  'use strict';
+
+  const FIELD = {
+    QUALITY: 'quality',
+    ARMOUR: 'ar',
+    EVASION: 'ev',
+    ENERGY_SHIELD: 'es',
+  };
+
+  const DEFENCE_FIELDS = [FIELD.ARMOUR, FIELD.EVASION, FIELD.ENERGY_SHIELD];
+
+  function weaponParser() {
+    return window.PoeValueEvaluator.weaponParser;
+  }
+
+  /**
+   * Extract final defences from item popup DOM.
+   *
+   * @param {Element} itemRoot
+   * @returns {import('./armour-defence.js').FinalDefenceStats | null} null without any defence
+   */
+  function parseDefenceStats(itemRoot) {
+    const root = itemRoot.closest('.itemPopupContainer') || itemRoot;
+    const { getFieldText, parseNum } = weaponParser();
+
+    const armour = parseNum(getFieldText(root, FIELD.ARMOUR));
+    const evasion = parseNum(getFieldText(root, FIELD.EVASION));
+    const energyShield = parseNum(getFieldText(root, FIELD.ENERGY_SHIELD));
+    if (armour == null && evasion == null && energyShield == null) return null;
+
+    return { armour: armour ?? 0, evasion: evasion ?? 0, energyShield: energyShield ?? 0 };
+  }
+
+  /**
+   * Local defence modifiers. On armour pieces these all apply to the item itself.
+   * Examples:
+   *   "+50 to Armour" -> { flatArmour: 50 }
+   *   "+32 to maximum Energy Shield" -> { flatEnergyShield: 32 }
+   *   "80% increased Evasion Rating" -> { increasedEvasion: 80 }
+   *   "30% increased Armour and Energy Shield" -> { increasedArmour: 30, increasedEnergyShield: 30 }
+   *   "18% increased Armour, Evasion and Energy Shield" (armour rune) -> all three
+   */
+  const DEFENCE_MOD_REGEX = {
+    flatArmour: /^\+(\d+(?:\.\d+)?)\s+to\s+Armour$/i,
+    flatEvasion: /^\+(\d+(?:\.\d+)?)\s+to\s+Evasion\s+Rating$/i,
+    flatEnergyShield: /^\+(\d+(?:\.\d+)?)\s+to\s+maximum\s+Energy\s+Shield$/i,
+    increased:
+      /^(\d+(?:\.\d+)?)\s*%\s*increased\s+((?:Armour|Evasion(?:\s+Rating)?|Energy\s+Shield)(?:(?:\s*,\s*|\s+and\s+)(?:Armour|Evasion(?:\s+Rating)?|Energy\s+Shield))*)$/i,
+  };
+
+  function parseDefenceModText(text) {
+    const out = {};
+    if (!text || typeof text !== 'string') return out;
+
+    for (const key of ['flatArmour', 'flatEvasion', 'flatEnergyShield']) {
+      const m = text.match(DEFENCE_MOD_REGEX[key]);
+      if (m) out[key] = (out[key] ?? 0) + parseFloat(m[1]);
+    }
+
+    const mInc = text.match(DEFENCE_MOD_REGEX.increased);
+    if (mInc) {
+      const pct = parseFloat(mInc[1]);
+      const stats = mInc[2];
+      if (/Armour/i.test(stats)) out.increasedArmour = (out.increasedArmour ?? 0) + pct;
+      if (/Evasion/i.test(stats)) out.increasedEvasion = (out.increasedEvasion ?? 0) + pct;
+      if (/Energy\s+Shield/i.test(stats)) {
+        out.increasedEnergyShield = (out.increasedEnergyShield ?? 0) + pct;
+      }
+    }
+
+    return out;
+  }
+
+  function emptyDefenceMods() {
+    return {
+      flatArmour: 0,
+      flatEvasion: 0,
+      flatEnergyShield: 0,
+      increasedArmour: 0,
+      increasedEvasion: 0,
+      increasedEnergyShield: 0,
+    };
+  }
+
+  function sumDefenceMods(mods, spans) {
+    for (const span of spans) {
+      const parsed = parseDefenceModText((span.textContent || '').trim());
+      for (const [k, v] of Object.entries(parsed)) {
+        if (typeof v === 'number' && mods[k] !== undefined) mods[k] += v;
+      }
+    }
+    return mods;
+  }
+
+  /**
+   * Extract local defence modifiers from every mod type (rune, explicit, implicit,
+   * desecrated, fractured) plus quality.
+   *
+   * @param {Element} itemRoot
+   * @returns {import('./armour-defence.js').DefenceModifiers}
+   */
+  function parseDefenceModifiers(itemRoot) {
+    const root = itemRoot.closest('.itemPopupContainer') || itemRoot;
+    const { getFieldText, parseNum } = weaponParser();
+    const mods = { ...emptyDefenceMods(), quality: 0 };
+
+    const q = parseNum(getFieldText(root, FIELD.QUALITY));
+    if (q != null) mods.quality = q;
+
+    return sumDefenceMods(mods, root.querySelectorAll('[data-field^="stat."]'));
+  }
+
+  /**
+   * Defence modifiers from socketed runes only (stat.rune.*).
+   */
+  function parseDefenceRuneModifiers(itemRoot) {
+    const root = itemRoot.closest('.itemPopupContainer') || itemRoot;
+    return sumDefenceMods(emptyDefenceMods(), root.querySelectorAll('[data-field^="stat.rune."]'));
+  }
+
+  /**
+   * Armour slot keywords found in base type names. Body armour bases rarely name their
+   * slot, so anything else with defences is the generic 'Armour' class.
+   */
+  const ARMOUR_CLASS_PATTERNS = [
+    [/\b(?:Helm|Helmet|Cap|Crown|Circlet|Hood|Mask|Tiara|Visage|Greathelm|Bascinet|Hat)\b/i, 'Helmet'],
+    [/\b(?:Gloves|Gauntlets|Mitts|Wraps|Bracers|Cuffs)\b/i, 'Gloves'],
+    [/\b(?:Boots|Greaves|Shoes|Sandals|Sabatons|Slippers|Leggings)\b/i, 'Boots'],
+    [/\bBuckler\b/i, 'Buckler'],
+    [/\b(?:Shield|Targe|Pavise)\b/i, 'Shield'],
+    [/\bFocus\b/i, 'Focus'],
+  ];
+
+  /**
+   * Rune sockets assumed by armour class when the row has no socket markup: two on body
+   * armour (the generic 'Armour' class), one on every other slot.
+   */
+  const ARMOUR_RUNE_SLOTS = {
+    Armour: 2,
+    'Body Armour': 2,
+    Helmet: 1,
+    Gloves: 1,
+    Boots: 1,
+    Shield: 1,
+    Buckler: 1,
+    Focus: 1,
+  };
+
+  /**
+   * @param {string|null} typeLine
+   * @returns {string|null} null without a base type
+   */
+  function inferArmourClass(typeLine) {
+    if (!typeLine) return null;
+    for (const [pattern, itemClass] of ARMOUR_CLASS_PATTERNS) {
+      if (pattern.test(typeLine)) return itemClass;
+    }
+    return 'Armour';
+  }
+
+  /**
+   * Parse an armour row: final defences + modifiers for reverse-engineering.
+   * `affixes` is weapon-parser's affix scan; it is used here for rarity and corruption.
+   *
+   * @param {Element} row - .row element
+   * @returns {{ final: object, mods: object, runeMods: object, runeSlotCount: number,
+   *   name: string|null, typeLine: string|null, itemClass: string|null, affixes: object } | null}
+   */
+  function parseArmourRow(row) {
+    const wp = weaponParser();
+    const root = wp.findItemRoot(row);
+    if (!root) return null;
+
+    const final = parseDefenceStats(root);
+    if (!final) return null;
+
+    const mods = parseDefenceModifiers(root);
+    const runeMods = parseDefenceRuneModifiers(root);
+    const { name, typeLine } = wp.parseItemHeader(root);
+    const itemClass = inferArmourClass(typeLine);
+    const runeSlotCount = wp.parseRuneSlotCount(root, ARMOUR_RUNE_SLOTS[itemClass] ?? 0);
+    const affixes = wp.parseAffixes(root);
+    return { final, mods, runeMods, runeSlotCount, name, typeLine, itemClass, affixes };
+  }
+
+  /**
+   * Parse an armour row and reverse-engineer its base defences.
+   * Requires armour-defence.js to be loaded first.
+   *
+   * @param {Element} row - .row element
+   */
+  function parseAndReverseEngineerArmour(row) {
+    const parsed = parseArmourRow(row);
+    if (!parsed) return null;
+    const ad = typeof window !== 'undefined' && window.PoeValueEvaluator?.armourDefence;
+    if (!ad) return parsed;
+    const base = ad.reverseEngineerDefenceBase(parsed.final, parsed.mods);
+    return { ...parsed, base };
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.armourParser = {
+      DEFENCE_FIELDS,
+      parseDefenceStats,
+      parseDefenceModText,
+      parseDefenceModifiers,
+      parseDefenceRuneModifiers,
+      inferArmourClass,
+      parseArmourRow,
+      parseAndReverseEngineerArmour,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      DEFENCE_FIELDS,
+      parseDefenceStats,
+      parseDefenceModText,
+      parseDefenceModifiers,
+      parseDefenceRuneModifiers,
+      inferArmourClass,
+      parseArmourRow,
+      parseAndReverseEngineerArmour,
+    };
+  }
+})();
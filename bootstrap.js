@@ -0,0 +1,114 @@
+/**
+ * Content-script entry point: loads stored settings, listing history and the session's
+ * pinned listings, then evaluates the trade page and keeps up with infinite scroll via a
+ * MutationObserver that hands only added and removed rows to content.js.
+ *
+ * Must be the last content script; everything it drives lives in content.js.
+ */
+
+(function () {
+  'use strict';
+
+  const { content, settings: settingsStore, listingHistory, compareTray } = window.PoeValueEvaluator;
+
+  function findResultsContainer() {
+    return (
+      document.querySelector('.search-results') ||
+      document.querySelector('[class*="result"]') ||
+      document.querySelector('main') ||
+      document.body
+    );
+  }
+
+  // Rows added/removed since the last frame; handled together so a burst of
+  // infinite-scroll mutations costs one top-list render.
+  const pendingAdded = new Set();
+  const pendingRemoved = new Set();
+  let flushScheduled = false;
+
+  function flushPendingRows() {
+    flushScheduled = false;
+    // A row moved within the page shows up as removed and added; keep its cache entry.
+    const removed = [...pendingRemoved].filter((row) => !row.isConnected);
+    const added = [...pendingAdded].filter((row) => row.isConnected);
+    pendingRemoved.clear();
+    pendingAdded.clear();
+    content.removeRows(removed);
+    content.addRows(added);
+  }
+
+  function scheduleFlush() {
+    if (flushScheduled) return;
+    flushScheduled = true;
+    window.requestAnimationFrame(flushPendingRows);
+  }
+
+  /**
+   * Collect the `.row`s a mutation touched: the nodes themselves, rows inside them, or
+   * (for additions) the row a node was added to, in case the site re-rendered its content.
+   */
+  function collectRows(nodes, out, { enclosing }) {
+    for (const node of nodes) {
+      if (node.nodeType !== Node.ELEMENT_NODE || content.isOwnNode(node)) continue;
+      if (node.matches('.row')) {
+        out.add(node);
+        continue;
+      }
+      const row = enclosing ? node.closest('.row') : null;
+      if (row) {
+        out.add(row);
+        continue;
+      }
+      for (const inner of node.querySelectorAll('.row')) out.add(inner);
+    }
+  }
+
+  function onMutations(mutations) {
+    for (const mutation of mutations) {
+      collectRows(mutation.removedNodes, pendingRemoved, { enclosing: false });
+      collectRows(mutation.addedNodes, pendingAdded, { enclosing: true });
+    }
+    if (pendingAdded.size || pendingRemoved.size) scheduleFlush();
+  }
+
+  function init() {
+    const container = findResultsContainer();
+    if (!container) {
+      setTimeout(init, 500);
+      return;
+    }
+
+    content.processAllRows(document);
+
+    const observer = new MutationObserver(onMutations);
+    observer.observe(container, {
+      childList: true,
+      subtree: true
+    });
+  }
+
+  function start() {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', init);
+    } else {
+      init();
+    }
+  }
+
+  Promise.all([
+    settingsStore.loadSettings().catch((err) => {
+      console.warn('poe2deal: could not load settings, using defaults', err);
+      return settingsStore.sanitizeSettings(null);
+    }),
+    settingsStore.readStorage(listingHistory.HISTORY_STORAGE_KEY).catch((err) => {
+      console.warn('poe2deal: could not load listing history', err);
+      return null;
+    }),
+  ]).then(([loadedSettings, storedHistory]) => {
+    content.applySettings(loadedSettings);
+    content.setHistory(storedHistory);
+    content.setPinned(compareTray.loadPinned());
+    settingsStore.onSettingsChanged(content.onExternalSettingsChange);
+    start();
+  });
+})();
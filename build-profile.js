@@ -0,0 +1,181 @@
+/**
+ * Build profile: the character's global modifiers and main-skill tags, imported as JSON
+ * (pasted or loaded from a file on the options page). weapon-dps.js applies it on top of
+ * a weapon's local stats to get "DPS in your build".
+ *
+ * Example:
+ *   {
+ *     "name": "Lightning Arrow Deadeye",
+ *     "skillTags": ["attack", "projectile", "bow", "lightning"],
+ *     "globals": { "increasedElemental": 80, "increasedProjectile": 40, "physToLightning": 50,
+ *                  "increasedCritChance": 120, "critDamageBonus": 60 }
+ *   }
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Global modifiers a profile may set, all in %. Tag-scoped ones only apply when the
+   * main skill has that tag.
+   */
+  const BUILD_GLOBALS = {
+    increasedDamage: { label: 'increased Damage' },
+    increasedPhysical: { label: 'increased Physical Damage' },
+    increasedElemental: { label: 'increased Elemental Damage' },
+    increasedFire: { label: 'increased Fire Damage' },
+    increasedCold: { label: 'increased Cold Damage' },
+    increasedLightning: { label: 'increased Lightning Damage' },
+    increasedChaos: { label: 'increased Chaos Damage' },
+    increasedAttack: { label: 'increased Attack Damage', tag: 'attack' },
+    increasedProjectile: { label: 'increased Projectile Damage', tag: 'projectile' },
+    increasedMelee: { label: 'increased Melee Damage', tag: 'melee' },
+    increasedAttackSpeed: { label: 'increased Attack Speed' },
+    increasedCritChance: { label: 'increased Critical Hit Chance' },
+    critDamageBonus: { label: 'to Critical Damage Bonus' },
+    physToFire: { label: 'of Physical Damage Converted to Fire' },
+    physToCold: { label: 'of Physical Damage Converted to Cold' },
+    physToLightning: { label: 'of Physical Damage Converted to Lightning' },
+    physToChaos: { label: 'of Physical Damage Converted to Chaos' },
+    gainAsExtra: { label: 'of Damage gained as Extra' },
+    damageEffectiveness: { label: 'skill damage effectiveness', default: 100 },
+    more: { label: 'more Damage (skill and supports, combined)' },
+  };
+
+  const DEFAULT_SKILL_TAGS = ['attack'];
+
+  /**
+   * @typedef {Object} BuildProfile
+   * @property {string} name
+   * @property {string[]} skillTags - Lower-case main-skill tags, e.g. ['attack', 'projectile']
+   * @property {Object<string, number>} globals - Every key of BUILD_GLOBALS
+   */
+
+  /**
+   * Keep known globals with numeric values; fill the rest with their defaults (0, or 100%
+   * damage effectiveness). Conversion is scaled down when it adds up to more than 100%.
+   *
+   * @param {Object|null} raw
+   * @returns {BuildProfile|null} null when `raw` is not a profile
+   */
+  function sanitizeBuildProfile(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+    const rawGlobals = raw.globals && typeof raw.globals === 'object' ? raw.globals : {};
+
+    const globals = {};
+    for (const [id, spec] of Object.entries(BUILD_GLOBALS)) {
+      const n = Number(rawGlobals[id]);
+      const valid = rawGlobals[id] != null && rawGlobals[id] !== '' && Number.isFinite(n);
+      globals[id] = valid ? n : spec.default ?? 0;
+    }
+    globals.damageEffectiveness = Math.max(0, globals.damageEffectiveness);
+
+    const conversion = ['physToFire', 'physToCold', 'physToLightning', 'physToChaos'];
+    for (const id of conversion) globals[id] = Math.max(0, globals[id]);
+    const converted = conversion.reduce((sum, id) => sum + globals[id], 0);
+    if (converted > 100) {
+      for (const id of conversion) globals[id] = (globals[id] * 100) / converted;
+    }
+
+    const tags = (Array.isArray(raw.skillTags) ? raw.skillTags : [])
+      .filter((t) => typeof t === 'string' && t.trim())
+      .map((t) => t.trim().toLowerCase());
+
+    return {
+      name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : 'Build',
+      skillTags: tags.length ? [...new Set(tags)] : DEFAULT_SKILL_TAGS,
+      globals,
+    };
+  }
+
+  /**
+   * Parse pasted or file text into a profile.
+   *
+   * @param {string} text
+   * @returns {BuildProfile}
+   * @throws {Error} on anything that is not a JSON object (Path of Building codes included)
+   */
+  function parseBuildProfile(text) {
+    const trimmed = String(text ?? '').trim();
+    if (!trimmed) throw new Error('The build profile is empty');
+    if (!trimmed.startsWith('{')) {
+      throw new Error('Expected a JSON object (Path of Building codes are not supported)');
+    }
+    let raw;
+    try {
+      raw = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+    const profile = sanitizeBuildProfile(raw);
+    if (!profile) throw new Error('The build profile must be a JSON object');
+    return profile;
+  }
+
+  function appliesToSkill(profile, id) {
+    const tag = BUILD_GLOBALS[id].tag;
+    return !tag || profile.skillTags.includes(tag);
+  }
+
+  /**
+   * Resolve a profile into the per-damage-type totals calcWeaponDps takes as `build`:
+   * generic, elemental and skill-tag increases are summed into each type they reach.
+   *
+   * @param {BuildProfile} profile
+   * @returns {import('./weapon-dps.js').BuildModifiers}
+   */
+  function toBuildModifiers(profile) {
+    const g = profile.globals;
+    const shared = ['increasedDamage', 'increasedAttack', 'increasedProjectile', 'increasedMelee']
+      .filter((id) => appliesToSkill(profile, id))
+      .reduce((sum, id) => sum + g[id], 0);
+
+    return {
+      increasedPhys: shared + g.increasedPhysical,
+      increasedFire: shared + g.increasedElemental + g.increasedFire,
+      increasedCold: shared + g.increasedElemental + g.increasedCold,
+      increasedLightning: shared + g.increasedElemental + g.increasedLightning,
+      increasedChaos: shared + g.increasedChaos,
+      increasedAttackSpeed: g.increasedAttackSpeed,
+      increasedCritChance: g.increasedCritChance,
+      critDamageBonus: g.critDamageBonus,
+      physToFire: g.physToFire,
+      physToCold: g.physToCold,
+      physToLightning: g.physToLightning,
+      physToChaos: g.physToChaos,
+      gainAsExtra: g.gainAsExtra,
+      damageEffectiveness: g.damageEffectiveness,
+      more: g.more,
+    };
+  }
+
+  /**
+   * One-line summary, e.g. "Lightning Arrow Deadeye (attack, projectile, bow)".
+   *
+   * @param {BuildProfile} profile
+   */
+  function describeBuildProfile(profile) {
+    return `${profile.name} (${profile.skillTags.join(', ')})`;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.buildProfile = {
+      BUILD_GLOBALS,
+      sanitizeBuildProfile,
+      parseBuildProfile,
+      toBuildModifiers,
+      describeBuildProfile,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      BUILD_GLOBALS,
+      sanitizeBuildProfile,
+      parseBuildProfile,
+      toBuildModifiers,
+      describeBuildProfile,
+    };
+  }
+})();
@@ -0,0 +1,313 @@
+/**
+ * Comparison tray component.
+ *
+ * Owns the floating #poe2deal-compare tray: up to MAX_PINNED weapons pinned from their
+ * badge, side by side, with stat-by-stat deltas against the first pinned item. Pinned
+ * items are plain snapshots (see content.js createPinSnapshot), not rows, so they outlive
+ * infinite scroll; the list is kept in sessionStorage so it also survives page navigation
+ * within the tab's session.
+ */
+
+(function () {
+  'use strict';
+
+  const PINNED_STORAGE_KEY = 'poe2deal:compare';
+  const MAX_PINNED = 3;
+  // Differences below display precision (e.g. reverse-engineered 4.9999 vs 5) are no delta.
+  const DELTA_EPSILON = 0.005;
+
+  /**
+   * @typedef {Object} PinSnapshot
+   * @property {string} id - Row data-id
+   * @property {string|null} name
+   * @property {string|null} typeLine
+   * @property {string} priceText
+   * @property {number|null} priceNormalized - In the base currency
+   * @property {string} metricShort - Ranking metric when pinned, e.g. "DPS"
+   * @property {number|null} siteDps
+   * @property {number|null} dps - Current value of the metric
+   * @property {number|null} bestDps - Metric with the best rune mix
+   * @property {number|null} ratio
+   * @property {Object} final - parseFinalStats result
+   * @property {Object} base - Reverse-engineered base
+   * @property {Object} mods - parseModifiers result
+   */
+
+  function range(min, max) {
+    return (s) => {
+      const lo = s[min] ?? 0;
+      const hi = s[max] ?? 0;
+      return lo || hi ? { value: (lo + hi) / 2, text: `${round(lo)}–${round(hi)}` } : null;
+    };
+  }
+
+  function number(key, digits = 1) {
+    return (s) =>
+      typeof s[key] === 'number' && s[key] ? { value: s[key], text: s[key].toFixed(digits) } : null;
+  }
+
+  function price(s) {
+    return typeof s.priceNormalized === 'number' ? { value: s.priceNormalized, text: s.priceText } : null;
+  }
+
+  function round(n) {
+    return Number.isInteger(n) ? String(n) : n.toFixed(1);
+  }
+
+  /**
+   * Compared stats by section. `from` picks the snapshot part a stat reads; `better` is
+   * 1 when higher is better and -1 when lower is better.
+   */
+  const COMPARE_SECTIONS = [
+    {
+      label: 'Value',
+      from: (s) => s,
+      stats: [
+        { label: 'Price', read: price, better: -1 },
+        { label: 'Site DPS', read: number('siteDps', 2), better: 1 },
+        { label: 'Current', read: number('dps'), better: 1, metric: true },
+        { label: 'Best runes', read: number('bestDps'), better: 1, metric: true },
+        { label: 'Per div', read: number('ratio', 2), better: 1, metric: true },
+      ],
+    },
+    {
+      label: 'Final stats',
+      from: (s) => s.final || {},
+      stats: [
+        { label: 'Physical', read: range('physMin', 'physMax'), better: 1 },
+        { label: 'Fire', read: range('fireMin', 'fireMax'), better: 1 },
+        { label: 'Cold', read: range('coldMin', 'coldMax'), better: 1 },
+        { label: 'Lightning', read: range('lightningMin', 'lightningMax'), better: 1 },
+        { label: 'Chaos', read: range('chaosMin', 'chaosMax'), better: 1 },
+        { label: 'APS', read: number('aps', 2), better: 1 },
+        { label: 'Crit %', read: number('critChance', 2), better: 1 },
+      ],
+    },
+    {
+      label: 'Base',
+      from: (s) => s.base || {},
+      stats: [
+        { label: 'Physical', read: range('basePhysMin', 'basePhysMax'), better: 1 },
+        { label: 'APS', read: number('baseAps', 2), better: 1 },
+        { label: 'Crit %', read: number('baseCritChance', 2), better: 1 },
+      ],
+    },
+    {
+      label: 'Modifiers',
+      from: (s) => s.mods || {},
+      stats: [
+        { label: 'Adds Physical', read: range('flatPhysMin', 'flatPhysMax'), better: 1 },
+        { label: 'Adds Fire', read: range('flatFireMin', 'flatFireMax'), better: 1 },
+        { label: 'Adds Cold', read: range('flatColdMin', 'flatColdMax'), better: 1 },
+        { label: 'Adds Lightning', read: range('flatLightningMin', 'flatLightningMax'), better: 1 },
+        { label: 'Adds Chaos', read: range('flatChaosMin', 'flatChaosMax'), better: 1 },
+        { label: '% inc. Physical', read: number('increasedPhys', 0), better: 1 },
+        { label: '% inc. Attack Speed', read: number('increasedAttackSpeed', 0), better: 1 },
+        { label: '+% Crit Chance', read: number('flatCritChance', 2), better: 1 },
+        { label: '% as extra Fire', read: number('gainAsExtraFire', 0), better: 1 },
+        { label: '% as extra Cold', read: number('gainAsExtraCold', 0), better: 1 },
+        { label: '% as extra Lightning', read: number('gainAsExtraLightning', 0), better: 1 },
+        { label: '% as extra Chaos', read: number('gainAsExtraChaos', 0), better: 1 },
+        { label: 'Attack skill levels', read: number('attackSkillLevels', 0), better: 1 },
+        { label: 'Projectile skill levels', read: number('projectileSkillLevels', 0), better: 1 },
+        { label: 'Melee skill levels', read: number('meleeSkillLevels', 0), better: 1 },
+        { label: 'Quality', read: number('quality', 0), better: 1 },
+      ],
+    },
+  ];
+
+  /**
+   * Stat-by-stat comparison. Stats no snapshot has are left out. Deltas are against the
+   * first snapshot; metric rows only compare snapshots pinned under the same metric.
+   *
+   * @param {PinSnapshot[]} snapshots
+   * @returns {Array<{ section: string, rows: Array<{ label: string, cells: Array<{ text: string,
+   *   delta: number|null, verdict: 'better'|'worse'|null }> }> }>}
+   */
+  function compareSnapshots(snapshots) {
+    const sections = [];
+    for (const section of COMPARE_SECTIONS) {
+      const rows = [];
+      for (const stat of section.stats) {
+        const read = snapshots.map((s) => stat.read(section.from(s)));
+        if (read.every((r) => r == null)) continue;
+
+        const ref = read[0];
+        const cells = read.map((r, i) => {
+          const comparable =
+            i > 0 && ref && r && (!stat.metric || snapshots[i].metricShort === snapshots[0].metricShort);
+          const diff = comparable ? r.value - ref.value : 0;
+          const delta = Math.abs(diff) >= DELTA_EPSILON ? diff : null;
+          const verdict = delta ? (delta * stat.better > 0 ? 'better' : 'worse') : null;
+          return { text: r ? r.text : '–', delta, verdict };
+        });
+        const label = stat.metric ? `${stat.label} (${snapshots[0].metricShort})` : stat.label;
+        rows.push({ label, cells });
+      }
+      if (rows.length) sections.push({ section: section.label, rows });
+    }
+    return sections;
+  }
+
+  /**
+   * Keep well-formed snapshots, newest MAX_PINNED, one per id.
+   *
+   * @param {*} raw
+   * @returns {PinSnapshot[]}
+   */
+  function sanitizePinned(raw) {
+    if (!Array.isArray(raw)) return [];
+    const seen = new Set();
+    const out = [];
+    for (const s of raw) {
+      if (!s || typeof s !== 'object' || typeof s.id !== 'string' || seen.has(s.id)) continue;
+      seen.add(s.id);
+      out.push(s);
+    }
+    return out.slice(-MAX_PINNED);
+  }
+
+  function sessionStore() {
+    try {
+      return typeof window !== 'undefined' && window.sessionStorage ? window.sessionStorage : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Pinned snapshots saved earlier in this tab's session.
+   *
+   * @returns {PinSnapshot[]}
+   */
+  function loadPinned() {
+    const store = sessionStore();
+    if (!store) return [];
+    try {
+      return sanitizePinned(JSON.parse(store.getItem(PINNED_STORAGE_KEY)));
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function savePinned(snapshots) {
+    const store = sessionStore();
+    if (!store) return;
+    try {
+      store.setItem(PINNED_STORAGE_KEY, JSON.stringify(snapshots));
+    } catch (err) {
+      console.warn('poe2deal: could not save pinned listings', err);
+    }
+  }
+
+  function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, (c) => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;',
+    })[c]);
+  }
+
+  function formatDelta(delta) {
+    const digits = Math.abs(delta) >= 10 ? 1 : 2;
+    return `${delta > 0 ? '+' : ''}${delta.toFixed(digits)}`;
+  }
+
+  /**
+   * Create the tray (hidden until something is pinned) and attach it to the page.
+   *
+   * @param {Object} options
+   * @param {string} options.id - Element id (e.g. "poe2deal-compare")
+   * @param {string} options.app - Class prefix (e.g. "poe2deal")
+   * @param {Function} [options.onUnpin] - (id) => void when an item's × is clicked
+   * @param {Function} [options.onClear] - () => void when "Clear" is clicked
+   * @param {Function} [options.onJump] - (id) => void when an item's name is clicked
+   * @param {Document} [options.doc=document]
+   * @returns {{ element: Element, render: Function }}
+   */
+  function createCompareTray(options) {
+    const doc = options.doc || document;
+    const app = options.app;
+    let lastHtml = null;
+
+    const tray = doc.createElement('div');
+    tray.id = options.id;
+    tray.style.display = 'none';
+    doc.documentElement.appendChild(tray);
+
+    tray.addEventListener('click', (e) => {
+      const target = e.target && e.target.closest ? e.target.closest('[data-action]') : null;
+      if (!target) return;
+      e.preventDefault();
+      const id = target.getAttribute('data-id');
+      const action = target.getAttribute('data-action');
+      if (action === 'unpin' && options.onUnpin) options.onUnpin(id);
+      if (action === 'jump' && options.onJump) options.onJump(id);
+      if (action === 'clear' && options.onClear) options.onClear();
+    });
+
+    /**
+     * @param {PinSnapshot[]} snapshots
+     */
+    function render(snapshots) {
+      tray.style.display = snapshots.length ? '' : 'none';
+
+      let html = `<div class="${app}-header"><span class="${app}-title">Compare (${snapshots.length}/${MAX_PINNED})</span>`;
+      html += `<button type="button" data-action="clear">Clear</button></div>`;
+      html += '<table><thead><tr><th></th>';
+      for (const s of snapshots) {
+        html += `<th><a class="${app}-link" data-action="jump" data-id="${escapeHtml(s.id)}">${escapeHtml(s.name || s.typeLine || s.id)}</a>`;
+        html += ` <button type="button" data-action="unpin" data-id="${escapeHtml(s.id)}" title="Unpin">×</button>`;
+        if (s.name && s.typeLine) html += `<br><small>${escapeHtml(s.typeLine)}</small>`;
+        html += '</th>';
+      }
+      html += '</tr></thead><tbody>';
+
+      for (const { section, rows } of compareSnapshots(snapshots)) {
+        html += `<tr class="${app}-section"><th colspan="${snapshots.length + 1}">${escapeHtml(section)}</th></tr>`;
+        for (const row of rows) {
+          html += `<tr><th>${escapeHtml(row.label)}</th>`;
+          for (const cell of row.cells) {
+            const cls = cell.verdict ? ` class="${app}-${cell.verdict}"` : '';
+            const delta = cell.delta ? ` <small>(${formatDelta(cell.delta)})</small>` : '';
+            html += `<td${cls}>${escapeHtml(cell.text)}${delta}</td>`;
+          }
+          html += '</tr>';
+        }
+      }
+      html += '</tbody></table>';
+
+      if (html !== lastHtml) {
+        tray.innerHTML = html;
+        lastHtml = html;
+      }
+    }
+
+    return { element: tray, render };
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.compareTray = {
+      MAX_PINNED,
+      compareSnapshots,
+      sanitizePinned,
+      loadPinned,
+      savePinned,
+      createCompareTray,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      MAX_PINNED,
+      compareSnapshots,
+      sanitizePinned,
+      loadPinned,
+      savePinned,
+      createCompareTray,
+    };
+  }
+})();
@@ -1,3 +1,10 @@
+/**
+ * Trade page evaluation: row parsing → projections → badges, and the top-deals panel.
+ *
+ * Exposes an API that works on any root (a document or an element holding `.row`s);
+ * bootstrap.js wires it to the live trade page and its MutationObserver.
+ */
+
 (function () {
   'use strict';
 
@@ -5,7 +12,29 @@
   const APP = 'poe2deal';
   const PANEL_ID = `${APP}-panel`;
   const PANEL_LINK_CLASS = `${APP}-link`;
-  const JUMP_FLASH_MS = 1800;
+  const TRAY_ID = `${APP}-compare`;
+  // Badge and panel unit for spell weapon scores.
+  const SPELL_SCORE_SHORT = 'SP';
+
+  const currencyLib = window.PoeValueEvaluator.currency;
+  const {
+    weaponDps,
+    weaponParser,
+    itemText,
+    armourDefence,
+    armourParser,
+    spellWeapon,
+    spellParser,
+    buildProfile,
+    runeOptions,
+    weaponBases,
+    craftingPotential,
+    dealPanel,
+    compareTray,
+    settings: settingsStore,
+    listingHistory,
+    listingExport,
+  } = window.PoeValueEvaluator;
 
   /**
    * Extract DPS value from a row. DPS is in [data-field="dps"].
@@ -39,11 +68,11 @@
     }
     const currencyImg = priceEl.querySelector('.currency-text img, img[title]');
     if (currencyImg && currencyImg.title) {
-      currency = currencyImg.title.toLowerCase();
+      currency = currencyLib.normalizeCurrency(currencyImg.title);
     } else {
       const currencyText = priceEl.querySelector('.currency-text span');
       if (currencyText) {
-        currency = (currencyText.textContent || '').trim().toLowerCase().replace(/\s+orb$/i, '');
+        currency = currencyLib.normalizeCurrency(currencyText.textContent || '');
       }
     }
     if (amount == null || amount <= 0 || !currency) return null;
@@ -58,210 +87,647 @@
   }
 
   /**
-   * Format currency for display (e.g., "divine" -> "div", "chaos" -> "chaos").
+   * Check if this row is a spell weapon (wand, staff or sceptre without attack DPS).
    */
-  function formatCurrency(currency) {
-    if (!currency) return '?';
-    const short = { divine: 'div', chaos: 'chaos', exalted: 'ex', mirror: 'mirror' };
-    return short[currency] || currency.slice(0, 3);
+  function isSpellWeapon(row) {
+    if (isWeapon(row)) return false;
+    const root = weaponParser.findItemRoot(row);
+    if (!root) return false;
+    const { typeLine } = weaponParser.parseItemHeader(root);
+    return spellWeapon.SPELL_WEAPON_CLASSES.includes(weaponParser.inferItemClass(typeLine));
   }
 
-  function formatRuneConfiguration(config) {
-    if (!config) return null;
+  /**
+   * Check if this row is an armour piece (armour, evasion or energy shield, no DPS).
+   */
+  function isArmour(row) {
+    if (isWeapon(row)) return false;
+    return armourParser.DEFENCE_FIELDS.some((field) => row.querySelector(`[data-field="${field}"]`));
+  }
 
-    const parts = [];
-    if (config.iron) parts.push(`${config.iron}x Greater Iron`);
-    if (config.summer) parts.push(`${config.summer}x Thane Myrk's Summer`);
-    if (config.spring) parts.push(`${config.spring}x Thane Leld's Spring`);
-    if (config.quip) parts.push(`${config.quip}x Quipolatl`);
-    if (!parts.length) return null;
-    return parts.join(', ');
+  // ===== Settings (see settings.js); the derived values below are refreshed by applySettings =====
+  const { RANKING_METRICS } = settingsStore;
+
+  let settings = settingsStore.sanitizeSettings(null);
+  let exchangeRates = settings.exchangeRates;
+  let metricId = settings.metric;
+  let runeCatalogue = settingsStore.resolveRuneCatalogue(settings);
+  let qualityCap = settings.qualityCap;
+  let runeTolerancePct = settings.runeTolerancePct;
+  let spellWeights = settings.spellWeights;
+  let skillLevelDamagePct = settings.skillLevelDamagePct;
+  let buildModifiers = null;
+
+  function applySettings(next) {
+    settings = next;
+    exchangeRates = settings.exchangeRates;
+    metricId = settings.metric;
+    runeCatalogue = settingsStore.resolveRuneCatalogue(settings);
+    qualityCap = settings.qualityCap;
+    runeTolerancePct = settings.runeTolerancePct;
+    spellWeights = settings.spellWeights;
+    skillLevelDamagePct = settings.skillLevelDamagePct;
+    buildModifiers = settings.buildProfile
+      ? buildProfile.toBuildModifiers(settings.buildProfile)
+      : null;
   }
 
-  // ===== Iron rune projection math (from poe2deal userscript) =====
-  const IRON_RUNE_PHYS_INC = 18; // 18% increased Physical Damage per iron rune
+  /**
+   * Apply a change made on this page right away and persist it. The resulting storage
+   * change event is ignored by onExternalSettingsChange since nothing differs.
+   */
+  function updateSettings(patch) {
+    applySettings(settingsStore.sanitizeSettings({ ...settings, ...patch }));
+    settingsStore.saveSettings(patch).catch((err) => {
+      console.warn('poe2deal: could not save settings', err);
+    });
+  }
 
-  function parseNum(txt) {
-    const m = String(txt || '')
-      .replace(/,/g, '')
-      .match(/(\d+(\.\d+)?)/);
-    return m ? Number(m[1]) : null;
+  function formatCurrency(currency) {
+    return currencyLib.formatCurrency(currency, settings.currencyShort);
   }
 
-  function parseRange(txt) {
-    const s = String(txt || '').replace(/,/g, '');
-    const m = s.match(/(\d+(\.\d+)?)\s*-\s*(\d+(\.\d+)?)/);
-    if (!m) return null;
-    return { min: Number(m[1]), max: Number(m[3]) };
+  function formatPrice(amount, currency, digits) {
+    return currencyLib.formatPrice(amount, currency, digits, settings.currencyShort);
   }
 
-  function avgRange(r) {
-    if (!r) return null;
-    return (r.min + r.max) / 2;
+  function baseShort() {
+    return formatCurrency(currencyLib.BASE_CURRENCY);
   }
 
-  function parseEdps(row) {
-    const el =
-      row.querySelector('[data-field="edps"] .colourDefault') ||
-      row.querySelector('[data-field="edps"]');
-    if (!el) return null;
-    return parseNum(el.textContent);
+  function saveExchangeRates(rates) {
+    updateSettings({ exchangeRates: rates });
   }
 
-  function parseQualityPct(row) {
-    const q = row.querySelector('[data-field="quality"]');
-    if (!q) return 0;
-    const pct = parseNum(q.textContent);
-    return Number.isFinite(pct) ? pct : 0;
+  function saveMetric(id) {
+    updateSettings({ metric: id });
   }
 
-  function parsePhysDamageRange(row) {
-    const p = row.querySelector('[data-field="pdamage"]');
-    if (!p) return null;
-    const txt = p.textContent || '';
-    return parseRange(txt);
+  function currentMetric() {
+    return RANKING_METRICS[metricId];
   }
 
-  function parseAps(row) {
-    const a = row.querySelector('[data-field="aps"]');
-    if (!a) return null;
-    const n = parseNum(a.textContent);
-    return Number.isFinite(n) ? n : null;
+  /**
+   * Attach the normalized (divine) amount to a parsed price.
+   * normalizedAmount is null when there is no exchange rate for the currency.
+   */
+  function normalizePrice(price) {
+    if (!price) return null;
+    return {
+      ...price,
+      normalizedAmount: currencyLib.toBaseCurrency(price.amount, price.currency, exchangeRates),
+    };
   }
 
-  // Sum all "% increased Physical Damage" EXCEPT quality (includes rune mods)
-  function sumIncPhysPctNonQuality(row) {
-    const nodes = Array.from(
-      row.querySelectorAll('.itemBoxContent .content span, .itemBoxContent .content div')
-    );
+  /**
+   * DPS per divine, falling back to the listing's own currency when it cannot be converted.
+   * extraCost (divine, e.g. runes to buy) is added to the price; it is ignored for
+   * unconvertible listings since the units would not match.
+   */
+  function computeRatio(dps, price, extraCost = 0) {
+    if (typeof price.normalizedAmount === 'number' && price.normalizedAmount > 0) {
+      return { value: dps / (price.normalizedAmount + extraCost), unit: baseShort() };
+    }
+    return { value: dps / price.amount, unit: formatCurrency(price.currency) };
+  }
+
+  // Plain DPS is the trade site's own number, shown as listed; model values are rounded.
+  function formatDps(dps) {
+    return metricId === 'dps' ? String(dps) : dps.toFixed(1);
+  }
 
-    let sum = 0;
-    for (const n of nodes) {
-      const t = (n.textContent || '').trim();
-      if (!t) continue;
-      if (/^Quality\s*:/i.test(t)) continue;
-      const m = t.match(/(\d+(\.\d+)?)%\s*increased\s+Physical\s+Damage/i);
-      if (m) sum += Number(m[1]);
+  function formatDivine(amount) {
+    return formatPrice(amount || 0, currencyLib.BASE_CURRENCY, 2);
+  }
+
+  function formatRatio(dps, price, extraCost) {
+    const r = computeRatio(dps, price, extraCost);
+    return `${r.value.toFixed(2)}/${r.unit}`;
+  }
+
+  /**
+   * Original price, plus its divine equivalent when the listing is in another currency.
+   */
+  function describePrice(price) {
+    const original = formatPrice(price.amount, price.currency);
+    if (currencyLib.normalizeCurrency(price.currency) === currencyLib.BASE_CURRENCY) {
+      return original;
     }
-    return sum;
+    if (typeof price.normalizedAmount !== 'number') {
+      return `${original} (no exchange rate)`;
+    }
+    return `${original} ≈ ${formatPrice(price.normalizedAmount, currencyLib.BASE_CURRENCY, 2)}`;
   }
 
-  function sumRuneIncPhysPct(row) {
-    const runeNodes = Array.from(row.querySelectorAll('.runeMod'));
-    let sum = 0;
-    for (const n of runeNodes) {
-      const t = (n.textContent || '').trim();
-      const m = t.match(/(\d+(\.\d+)?)%\s*increased\s+Physical\s+Damage/i);
-      if (m) sum += Number(m[1]);
+  /**
+   * Save a user-edited catalogue; null resets to the built-in RUNE_OPTIONS.
+   * @returns {boolean} false when the entries did not contain a single valid rune
+   */
+  function saveRuneCatalogue(entries) {
+    if (entries == null) {
+      updateSettings({ runeCatalogue: null });
+      return true;
     }
-    return sum;
+    const normalized = runeOptions.normalizeRuneCatalogue(entries);
+    if (!normalized.length) return false;
+    updateSettings({ runeCatalogue: normalized });
+    return true;
   }
 
-  function countRuneSlots(row) {
-    const sockets = row.querySelectorAll('.iconContainer .sockets .socket--rune');
-    if (sockets && sockets.length) return sockets.length;
+  function formatRuneConfiguration(config) {
+    return runeOptions.formatRuneConfiguration(config, runeCatalogue);
+  }
 
-    const s = row.querySelector('.iconContainer .sockets');
-    if (s && s.classList) {
-      for (const c of Array.from(s.classList)) {
-        const m = c.match(/^numSockets(\d+)$/);
-        if (m) return Number(m[1]);
-      }
-    }
-    return 0;
+  function runeName(id) {
+    const rune = runeCatalogue.find((r) => r.id === id);
+    return rune ? rune.shortName || rune.name : id;
   }
 
-  // Compute projected total DPS after swapping ALL rune slots to iron runes,
-  // by backing out base physical damage and re-applying new inc phys and quality.
-  function projectDpsWithIronRunes(row) {
-    const dps = getDps(row);
-    const edps = parseEdps(row);
+  function runeCostInDivine(rune) {
+    if (!rune || !rune.cost) return null;
+    return currencyLib.toBaseCurrency(rune.cost.amount, rune.cost.currency, exchangeRates);
+  }
 
-    const aps = parseAps(row);
-    const physRange = parsePhysDamageRange(row);
+  function saveQualityCap(pct) {
+    updateSettings({ qualityCap: Number.isFinite(pct) ? pct : null });
+  }
 
-    const qualityPct = parseQualityPct(row);
-    const qualityMult = 1 + qualityPct / 100;
+  /**
+   * Quality the item can reach with normal currency. Corrupted items cannot be improved.
+   */
+  function reachableQuality(parsed) {
+    const quality = parsed.mods.quality ?? 0;
+    if (parsed.affixes && parsed.affixes.corrupted) return quality;
+    return Math.max(quality, weaponDps.MAX_NORMAL_QUALITY);
+  }
 
-    const incPhysPct = sumIncPhysPctNonQuality(row); // includes current rune phys, excludes quality
-    const incPhysMult = 1 + incPhysPct / 100;
+  function saveRuneTolerance(pct) {
+    updateSettings({ runeTolerancePct: Number.isFinite(pct) ? pct : null });
+  }
 
-    const runeIncPctCurrent = sumRuneIncPhysPct(row);
-    const runeSlots = countRuneSlots(row);
-    const runeIncPctProjected = runeSlots * IRON_RUNE_PHYS_INC;
+  function saveSkillLevelValue(pct) {
+    updateSettings({ skillLevelDamagePct: Number.isFinite(pct) ? pct : null });
+  }
 
-    if (!aps || !physRange || !Number.isFinite(aps)) {
-      return {
-        ok: false,
-        reason: 'missing aps/phys',
-        dps,
-        edps,
-        runeSlots,
-        projectedDps: null,
-      };
-    }
+  // ===== Listing history (see listing-history.js) =====
+  const HISTORY_SAVE_DELAY_MS = 2000;
+
+  // Tabs share one stored history; the last tab to save wins, which at worst loses a few sightings.
+  // null until setHistory is called: nothing is tracked before the stored history is loaded.
+  let history = null;
+  // Sighting status per search and listing, so re-evaluations do not count a row twice.
+  const sightings = new Map();
+  let historySaveTimer = null;
+
+  function scheduleHistorySave() {
+    if (historySaveTimer) return;
+    historySaveTimer = setTimeout(() => {
+      historySaveTimer = null;
+      listingHistory.pruneHistory(history);
+      settingsStore
+        .writeStorage(listingHistory.HISTORY_STORAGE_KEY, history)
+        .catch((err) => console.warn('poe2deal: could not save listing history', err));
+    }, HISTORY_SAVE_DELAY_MS);
+  }
+
+  /**
+   * Start tracking listings against a stored history (see listing-history.js).
+   */
+  function setHistory(stored) {
+    history = listingHistory.sanitizeHistory(stored);
+    sightings.clear();
+  }
+
+  /**
+   * Record the listing once per search and return its history status.
+   *
+   * @param {Element} row
+   * @param {string|null} id - Row data-id
+   * @param {object|undefined} parsed - parseWeaponRow result, for the item fingerprint
+   * @param {object} price - Normalized price
+   */
+  function trackListing(row, id, parsed, price) {
+    if (!id || !history) return null;
+    const location = row.ownerDocument && row.ownerDocument.location;
+    const key = `${location ? location.pathname : ''}|${id}`;
+    if (sightings.has(key)) return sightings.get(key);
+
+    const status = listingHistory.recordSighting(history, {
+      id,
+      fingerprint: listingHistory.itemFingerprint(parsed),
+      price,
+    });
+    sightings.set(key, status);
+    scheduleHistorySave();
+    return status;
+  }
+
+  function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString();
+  }
 
-    const physAvg = avgRange(physRange);
-    if (!Number.isFinite(physAvg) || physAvg <= 0) {
-      return {
-        ok: false,
-        reason: 'bad phys avg',
-        dps,
-        edps,
-        runeSlots,
-        projectedDps: null,
-      };
+  // ===== Rune projection (weapon-parser → weapon-dps → rune-options pipeline) =====
+  /**
+   * Parse the row, reverse engineer the weapon base and search every allowed rune mix.
+   * Runes are chosen to maximize the selected evaluation metric; `plan` adds the cheapest
+   * mix within the re-rune tolerance and per-swap DPS per divine. The detected base type
+   * (if known) is compared with the reverse-engineered base.
+   *
+   * @param {Element} row - .row element
+   * @returns {{ ok: boolean, reason?: string, parsed?: object, current?: object,
+   *   breakdown?: object, best?: object|null, plan?: object|null, knownBase?: object|null,
+   *   baseCheck?: object, evalMods?: object, runeSlots: number }}
+   */
+  function projectBestRunes(row) {
+    const reversed = weaponParser.parseAndReverseEngineer(row);
+    if (!reversed || !reversed.base) {
+      return { ok: false, reason: 'unparsed weapon', runeSlots: 0 };
     }
+    // The per-level value and build travel with the mods so every projection below uses them.
+    const mods = { ...reversed.mods, skillLevelDamagePct, build: buildModifiers };
+    const parsed = { ...reversed, mods };
+
+    const knownBase = weaponBases.findWeaponBase(parsed.typeLine);
+    const itemClass = knownBase ? knownBase.itemClass : parsed.itemClass;
+    const baseCheck = weaponBases.compareWithBase(parsed.base, knownBase);
+
+    // Quality-normalized ranking evaluates everything as if the item were at 20%.
+    const evalMods = currentMetric().qualityNormalized
+      ? { ...parsed.mods, quality: reachableQuality(parsed) }
+      : parsed.mods;
+
+    const current = weaponDps.calcWeaponDps(
+      weaponDps.buildWeaponInputs(parsed.base, evalMods)
+    );
+    const breakdown = weaponDps.attributeDps(parsed.base, weaponDps.collectDpsSources(parsed, evalMods), {
+      score: (result) => weaponDps.getMetricValue(result, metricId),
+      context: { skillLevelDamagePct, build: buildModifiers },
+    });
+    const plan = runeOptions.computeRuneUpgradePlan(
+      parsed.base,
+      evalMods,
+      parsed.runeMods,
+      parsed.runeSlotCount,
+      weaponDps.calcWeaponDps,
+      {
+        score: (result) => weaponDps.getMetricValue(result, metricId),
+        catalogue: runeCatalogue,
+        itemClass,
+        costOf: runeCostInDivine,
+        tolerancePct: runeTolerancePct,
+      }
+    );
+    const best = plan
+      ? { rune: { configuration: plan.best.configuration }, dps: plan.best.dps, result: plan.best.result }
+      : null;
+
+    const craftOptions = { score: (result) => weaponDps.getMetricValue(result, metricId), itemClass };
+    const crafted = {
+      best: craftingPotential.projectCraftedDps(
+        parsed.base, evalMods, parsed.affixes, weaponDps.calcWeaponDps,
+        weaponDps.buildWeaponInputs, { ...craftOptions, tier: 'best' }
+      ),
+      typical: craftingPotential.projectCraftedDps(
+        parsed.base, evalMods, parsed.affixes, weaponDps.calcWeaponDps,
+        weaponDps.buildWeaponInputs, { ...craftOptions, tier: 'typical' }
+      ),
+    };
 
-    // Base physical average damage (removing all inc phys and quality)
-    const basePhysAvg = physAvg / (incPhysMult * qualityMult);
+    const quality = parsed.mods.quality ?? 0;
+    const targetQuality = reachableQuality(parsed);
+    const qualityProjection = {
+      quality,
+      corrupted: !!(parsed.affixes && parsed.affixes.corrupted),
+      normal:
+        targetQuality > quality
+          ? {
+            quality: targetQuality,
+            result: weaponDps.projectAtQuality(parsed.base, parsed.mods, targetQuality),
+          }
+          : null,
+      cap:
+        qualityCap && qualityCap > Math.max(quality, targetQuality)
+          ? { quality: qualityCap, result: weaponDps.projectAtQuality(parsed.base, parsed.mods, qualityCap) }
+          : null,
+    };
 
-    // Replace current rune phys inc with full iron runes
-    const incPhysPctProjectedNonQuality =
-      incPhysPct - runeIncPctCurrent + runeIncPctProjected;
-    const incPhysMultProjected = 1 + incPhysPctProjectedNonQuality / 100;
+    return {
+      ok: true,
+      parsed,
+      current,
+      breakdown,
+      best,
+      qualityProjection,
+      plan,
+      crafted,
+      knownBase,
+      baseCheck,
+      evalMods,
+      runeSlots: parsed.runeSlotCount,
+    };
+  }
 
-    // Rebuild projected phys avg and then projected phys dps
-    const physAvgProjected = basePhysAvg * incPhysMultProjected * qualityMult;
-    const pdpsProjected = physAvgProjected * aps;
+  // Compute the selected metric after swapping ALL rune slots to Greater Iron runes, from
+  // the same (quality-normalized) mods as projectBestRunes. Kept as a reference line next
+  // to the best-rune search.
+  function projectDpsWithIronRunes(row, projection = projectBestRunes(row)) {
+    const dps = getDps(row);
+    const runeSlots = projection.runeSlots ?? 0;
 
-    const edpsSafe = Number.isFinite(edps) ? edps : 0;
-    const dpsProjected = pdpsProjected + edpsSafe;
+    if (!projection.ok) {
+      return { ok: false, reason: projection.reason, dps, runeSlots, projectedDps: null };
+    }
+
+    const { base, runeMods } = projection.parsed;
+    const mods = projection.evalMods || projection.parsed.mods;
+    const iron = runeCatalogue.find((r) => r.id === 'greater-iron');
+    if (!iron) {
+      return { ok: false, reason: 'no iron rune in catalogue', dps, runeSlots, projectedDps: null };
+    }
+    const modsWithoutRunes = runeOptions.stripRuneMods(mods, runeMods);
+    const modsWithIron = runeOptions.applyRuneToMods(modsWithoutRunes, iron, runeSlots);
+    const projected = weaponDps.calcWeaponDps(weaponDps.buildWeaponInputs(base, modsWithIron));
 
     return {
       ok: true,
       dps,
-      edps: edpsSafe,
       runeSlots,
-      projectedDps: dpsProjected,
+      projected,
+      projectedDps: weaponDps.getMetricValue(projected, metricId),
     };
   }
 
+  // ===== Defence projection (armour-parser → armour-defence → rune-options pipeline) =====
+  /**
+   * Parse an armour row, reverse engineer its base defences and search every allowed
+   * armour rune mix for the most total defence. The armour counterpart of projectBestRunes.
+   *
+   * @param {Element} row - .row element
+   * @returns {{ ok: boolean, reason?: string, parsed?: object, current?: object,
+   *   plan?: object|null, qualityProjection?: object, runeSlots: number }}
+   */
+  function projectDefences(row) {
+    const parsed = armourParser.parseAndReverseEngineerArmour(row);
+    if (!parsed || !parsed.base) {
+      return { ok: false, reason: 'unparsed armour', runeSlots: 0 };
+    }
+
+    const { calcDefences, buildDefenceInputs, projectDefencesAtQuality } = armourDefence;
+    const evalMods = currentMetric().qualityNormalized
+      ? { ...parsed.mods, quality: reachableQuality(parsed) }
+      : parsed.mods;
+
+    const current = calcDefences(buildDefenceInputs(parsed.base, evalMods));
+    const plan = runeOptions.computeRuneUpgradePlan(
+      parsed.base,
+      evalMods,
+      parsed.runeMods,
+      parsed.runeSlotCount,
+      calcDefences,
+      {
+        score: (result) => result.totalDefence,
+        buildInput: buildDefenceInputs,
+        catalogue: runeCatalogue,
+        itemClass: parsed.itemClass,
+        costOf: runeCostInDivine,
+        tolerancePct: runeTolerancePct,
+      }
+    );
+
+    const quality = parsed.mods.quality ?? 0;
+    const targetQuality = reachableQuality(parsed);
+    const qualityProjection = {
+      quality,
+      corrupted: !!(parsed.affixes && parsed.affixes.corrupted),
+      normal:
+        targetQuality > quality
+          ? { quality: targetQuality, result: projectDefencesAtQuality(parsed.base, parsed.mods, targetQuality) }
+          : null,
+      cap:
+        qualityCap && qualityCap > Math.max(quality, targetQuality)
+          ? { quality: qualityCap, result: projectDefencesAtQuality(parsed.base, parsed.mods, qualityCap) }
+          : null,
+    };
+
+    return { ok: true, parsed, current, plan, qualityProjection, runeSlots: parsed.runeSlotCount };
+  }
+
   // ===== Panel + navigation helpers (poe2deal-style UI) =====
-  function ensurePanel() {
-    let p = document.getElementById(PANEL_ID);
-    if (p) return p;
-    p = document.createElement('div');
-    p.id = PANEL_ID;
-    p.textContent = 'poe2deal: loading…';
-    document.documentElement.appendChild(p);
-    return p;
+  let panel = null;
+  // Root passed to the last processAllRows; panel edits re-evaluate it.
+  let pageRoot = null;
+
+  function ownerDocument(root) {
+    return root.ownerDocument || root;
+  }
+
+  function ensurePanel(doc) {
+    if (panel) return panel;
+
+    panel = dealPanel.createDealPanel({
+      id: PANEL_ID,
+      app: APP,
+      linkClass: PANEL_LINK_CLASS,
+      doc,
+      settings: settings.panel,
+      onSettingsChange: (panelSettings) => updateSettings({ panel: panelSettings }),
+      onJump: (id, index) => jumpToRowById(id, index),
+    });
+    panel.setSections(createPanelSections(doc));
+    return panel;
+  }
+
+  /**
+   * Quick-access editors below the list; the options page has the full set.
+   */
+  function createPanelSections(doc) {
+    return [
+      createMetricSelect(doc),
+      createRatesEditor(doc),
+      createNumberSetting(
+        doc,
+        '1 skill level ≈ ',
+        skillLevelDamagePct,
+        '% more damage (effective DPS)',
+        (n) => {
+          saveSkillLevelValue(n);
+          return skillLevelDamagePct;
+        }
+      ),
+      createNumberSetting(
+        doc,
+        'Corrupted/catalysed quality cap ',
+        qualityCap ?? '',
+        '% (blank = off)',
+        (n) => {
+          saveQualityCap(n);
+          return qualityCap ?? '';
+        }
+      ),
+      createRuneCatalogueEditor(doc),
+      createExportButtons(doc),
+    ];
+  }
+
+  /**
+   * Evaluation metric picker (plain / crit-weighted / physical / elemental DPS).
+   */
+  function createMetricSelect(doc) {
+    const label = doc.createElement('label');
+    label.className = `${APP}-metric`;
+    label.append('Rank by ');
+
+    const select = doc.createElement('select');
+    for (const [id, metric] of Object.entries(RANKING_METRICS)) {
+      const option = doc.createElement('option');
+      option.value = id;
+      option.textContent = metric.label;
+      option.selected = id === metricId;
+      select.appendChild(option);
+    }
+    select.addEventListener('change', () => {
+      saveMetric(select.value);
+      reevaluateAllRows();
+    });
+
+    label.appendChild(select);
+    return label;
+  }
+
+  /**
+   * "1 div = [N] ex = [M] chaos" inputs. Lives outside the list so top-list
+   * re-renders do not wipe what the user is typing.
+   */
+  function createRatesEditor(doc) {
+    const form = doc.createElement('form');
+    form.className = `${APP}-rates`;
+    form.append(`1 ${baseShort()} =`);
+
+    for (const [key, rate] of Object.entries(exchangeRates)) {
+      if (key === currencyLib.BASE_CURRENCY) continue;
+      const input = doc.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = 'any';
+      input.name = key;
+      input.value = String(rate);
+      form.append(' ', input, ` ${formatCurrency(key)}`);
+    }
+
+    form.addEventListener('change', () => {
+      const rates = {};
+      for (const input of form.querySelectorAll('input')) {
+        rates[input.name] = Number(input.value);
+      }
+      saveExchangeRates(rates);
+      reevaluateAllRows();
+    });
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    return form;
   }
 
-  function setPanel(html) {
-    ensurePanel().innerHTML = html;
+  /**
+   * Labelled number input. `save` receives the parsed number (NaN when blank), stores it
+   * and returns the value to show; rows are re-evaluated afterwards.
+   */
+  function createNumberSetting(doc, before, value, after, save) {
+    const label = doc.createElement('label');
+    label.className = `${APP}-setting`;
+    const input = doc.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = 'any';
+    input.value = String(value);
+    input.addEventListener('change', () => {
+      const n = input.value === '' ? NaN : Number(input.value);
+      input.value = String(save(n));
+      reevaluateAllRows();
+    });
+    label.append(before, input, after);
+    return label;
+  }
+
+  /**
+   * Collapsible JSON editor for the rune catalogue (see RuneOption in rune-options.js).
+   */
+  function createRuneCatalogueEditor(doc) {
+    const details = doc.createElement('details');
+    details.className = `${APP}-runes`;
+
+    const summary = doc.createElement('summary');
+    summary.textContent = 'Rune catalogue';
+
+    const textarea = doc.createElement('textarea');
+    textarea.rows = 10;
+    textarea.spellcheck = false;
+    textarea.value = JSON.stringify(runeCatalogue, null, 2);
+
+    const status = doc.createElement('span');
+
+    const save = doc.createElement('button');
+    save.type = 'button';
+    save.textContent = 'Save';
+    save.addEventListener('click', () => {
+      let entries;
+      try {
+        entries = JSON.parse(textarea.value);
+      } catch (err) {
+        status.textContent = ` Invalid JSON: ${err.message}`;
+        return;
+      }
+      if (!saveRuneCatalogue(entries)) {
+        status.textContent = ' No valid runes (each needs an id and numeric stats)';
+        return;
+      }
+      textarea.value = JSON.stringify(runeCatalogue, null, 2);
+      status.textContent = ' Saved';
+      reevaluateAllRows();
+    });
+
+    const reset = doc.createElement('button');
+    reset.type = 'button';
+    reset.textContent = 'Reset';
+    reset.addEventListener('click', () => {
+      saveRuneCatalogue(null);
+      textarea.value = JSON.stringify(runeCatalogue, null, 2);
+      status.textContent = ' Reset to defaults';
+      reevaluateAllRows();
+    });
+
+    const tolerance = createNumberSetting(
+      doc,
+      'Cheapest rune mix within ',
+      runeTolerancePct,
+      '% of max DPS',
+      (n) => {
+        saveRuneTolerance(n);
+        return runeTolerancePct;
+      }
+    );
+
+    details.append(summary, tolerance, textarea, save, ' ', reset, status);
+    return details;
   }
 
-  function jumpToRowById(id, fallbackIndex) {
+  /**
+   * Scroll to a listing and flash it. Falls back to the row's index when the id is gone.
+   *
+   * @param {string|null} id
+   * @param {number} [fallbackIndex]
+   * @param {Document|Element} [root] - Defaults to the last processed root
+   */
+  function jumpToRowById(id, fallbackIndex, root = pageRoot) {
+    if (!root) return;
     let row = null;
     if (id) {
       row =
-        document.querySelector(`div.row[data-id="${CSS.escape(id)}"]`) ||
-        document.querySelector(`[data-id="${CSS.escape(id)}"].row`);
+        root.querySelector(`div.row[data-id="${CSS.escape(id)}"]`) ||
+        root.querySelector(`[data-id="${CSS.escape(id)}"].row`);
     }
 
     if (!row && typeof fallbackIndex === 'number') {
-      const rows = document.querySelectorAll('.row');
+      const rows = root.querySelectorAll('.row');
       row = rows[fallbackIndex] || null;
     }
 
@@ -273,50 +739,175 @@
     const pb = row.querySelector('.right .price') || row.querySelector('.right .details');
     if (pb) pb.classList.add(`${APP}-jumpflash`);
 
-    window.setTimeout(() => {
+    setTimeout(() => {
       row.classList.remove(`${APP}-jumpflash`);
       if (pb) pb.classList.remove(`${APP}-jumpflash`);
-    }, JUMP_FLASH_MS);
+    }, settings.jumpFlashMs);
+  }
+
+  // ===== Comparison tray (see compare-tray.js) =====
+  // Pinned listings as snapshots, oldest first. bootstrap.js restores them with setPinned.
+  let pinned = [];
+  let tray = null;
+
+  function setPinned(snapshots) {
+    pinned = compareTray.sanitizePinned(snapshots);
+  }
+
+  function isPinned(id) {
+    return pinned.some((s) => s.id === id);
+  }
+
+  function renderTray(doc) {
+    if (!tray && !pinned.length) return;
+    if (!tray) {
+      tray = compareTray.createCompareTray({
+        id: TRAY_ID,
+        app: APP,
+        doc,
+        onUnpin: (id) => {
+          pinned = pinned.filter((s) => s.id !== id);
+          pinsChanged(doc);
+        },
+        onClear: () => {
+          pinned = [];
+          pinsChanged(doc);
+        },
+        onJump: (id) => jumpToRowById(id),
+      });
+    }
+    tray.render(pinned);
+  }
+
+  function updatePinButton(button) {
+    const on = isPinned(button.getAttribute('data-id'));
+    button.classList.toggle('poe-value-evaluator-pin--on', on);
+    button.title = on ? 'Unpin from comparison' : 'Pin to comparison';
+  }
+
+  function pinsChanged(doc) {
+    compareTray.savePinned(pinned);
+    renderTray(doc);
+    for (const button of doc.querySelectorAll('.poe-value-evaluator-pin')) updatePinButton(button);
+  }
+
+  /**
+   * Everything the tray shows about a weapon row, as plain data that outlives the row.
+   *
+   * @returns {import('./compare-tray.js').PinSnapshot|null} null when the row does not parse
+   */
+  function createPinSnapshot(row, value) {
+    const parsed = weaponParser.parseAndReverseEngineer(row);
+    if (!parsed || !parsed.base) return null;
+    return {
+      id: value.id,
+      name: parsed.name,
+      typeLine: parsed.typeLine,
+      priceText: value.priceText,
+      priceNormalized: value.priceNormalized ?? null,
+      metricShort: currentMetric().short,
+      siteDps: value.siteDps,
+      dps: value.dps,
+      bestDps: value.bestDps,
+      ratio: value.ratio,
+      final: parsed.final,
+      base: parsed.base,
+      mods: parsed.mods,
+    };
   }
 
-  function attachPanelClickHandler() {
-    const p = ensurePanel();
-    if (p.__poe2dealClickBound) return;
-    p.__poe2dealClickBound = true;
+  /**
+   * Pin a weapon row to the comparison tray, or unpin it. Pinning a fourth listing drops
+   * the oldest one.
+   *
+   * @param {Element} row - .row element with a data-id
+   * @returns {boolean} Whether the row is pinned afterwards
+   */
+  function togglePin(row) {
+    const id = row.getAttribute('data-id');
+    if (!id) return false;
+    if (isPinned(id)) {
+      pinned = pinned.filter((s) => s.id !== id);
+    } else {
+      const cached = rowCache.get(id);
+      const value = cached ? cached.value : evaluateRowValue(row);
+      const snapshot = value && value.kind === 'weapon' ? createPinSnapshot(row, value) : null;
+      if (!snapshot) return false;
+      pinned = [...pinned, snapshot].slice(-compareTray.MAX_PINNED);
+    }
+    pinsChanged(pageRoot ? ownerDocument(pageRoot) : row.ownerDocument);
+    return isPinned(id);
+  }
 
-    p.addEventListener('click', (e) => {
-      const a =
-        e.target && e.target.closest ? e.target.closest(`a.${PANEL_LINK_CLASS}`) : null;
-      if (!a) return;
+  function addPinButton(row, badge) {
+    const id = row.getAttribute('data-id');
+    if (!id) return;
+    const button = row.ownerDocument.createElement('button');
+    button.type = 'button';
+    button.className = 'poe-value-evaluator-pin';
+    button.setAttribute('data-id', id);
+    button.textContent = '📌';
+    updatePinButton(button);
+    button.addEventListener('click', (e) => {
       e.preventDefault();
-      const id = a.getAttribute('data-id');
-      const idxAttr = a.getAttribute('data-index');
-      const idx =
-        idxAttr != null && idxAttr !== '' && !Number.isNaN(Number(idxAttr))
-          ? Number(idxAttr)
-          : undefined;
-      jumpToRowById(id, idx);
+      e.stopPropagation();
+      togglePin(row);
     });
+    badge.append(' ', button);
   }
 
-  function processRow(row) {
-    if (row.getAttribute(BADGE_DATA_ATTR) === 'true') return;
-    if (!isWeapon(row)) return;
-
-    const dps = getDps(row);
-    const price = getPrice(row);
-    if (dps == null || !price) return;
+  /**
+   * Copy a weapon row to the clipboard in the game's item text format.
+   *
+   * @param {Element} row - .row element
+   * @returns {Promise<boolean>} Whether the text was copied
+   */
+  function copyItemText(row) {
+    const parsed = weaponParser.parseWeaponRow(row);
+    const clipboard = typeof navigator !== 'undefined' ? navigator.clipboard : null;
+    if (!parsed || !clipboard) return Promise.resolve(false);
+    return clipboard.writeText(itemText.serializeItemText(parsed)).then(
+      () => true,
+      (err) => {
+        console.warn('poe2deal: could not copy item text', err);
+        return false;
+      }
+    );
+  }
 
-    const currencyShort = formatCurrency(price.currency);
+  function addCopyButton(row, badge) {
+    const button = row.ownerDocument.createElement('button');
+    button.type = 'button';
+    button.className = 'poe-value-evaluator-copy';
+    button.title = 'Copy item text (paste into a build planner)';
+    button.textContent = '📋';
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      copyItemText(row).then((copied) => {
+        button.textContent = copied ? '✓' : '✗';
+        setTimeout(() => {
+          button.textContent = '📋';
+        }, 1500);
+      });
+    });
+    badge.append(' ', button);
+  }
 
+  /**
+   * The row's badge element, created after the price on first use.
+   *
+   * @returns {Element|null} null when the row has no details column
+   */
+  function ensureBadge(row) {
     const rightPanel = row.querySelector('.right .details');
-    if (!rightPanel) return;
+    if (!rightPanel) return null;
 
     const priceDiv = rightPanel.querySelector('.price');
 
     let badge = rightPanel.querySelector('.poe-value-evaluator-badge');
     if (!badge) {
-      badge = document.createElement('div');
+      badge = row.ownerDocument.createElement('div');
       badge.className = 'poe-value-evaluator-badge';
       if (priceDiv && priceDiv.nextSibling) {
         rightPanel.insertBefore(badge, priceDiv.nextSibling);
@@ -324,176 +915,778 @@
         rightPanel.appendChild(badge);
       }
     }
+    return badge;
+  }
+
+  /**
+   * Write badge text and tooltip, adding the listing-history lines and markers.
+   */
+  function fillBadge(row, badge, { text, titleLines, warning = false, seen = null }) {
+    if (seen) {
+      titleLines.push(
+        '',
+        seen.isNew
+          ? 'History: first time seen'
+          : `History: first seen ${formatDate(seen.firstSeen)}, seen ${seen.seenCount} times${seen.relisted ? ' (relisted under a new id)' : ''}`
+      );
+      if (seen.priceChange) {
+        const { from, to, pct } = seen.priceChange;
+        titleLines.push(
+          `  Price ${formatPrice(from.amount, from.currency)} → ${formatPrice(to.amount, to.currency)} (${pct > 0 ? '+' : ''}${pct.toFixed(1)}%)`
+        );
+      }
+    }
+
+    badge.classList.toggle('poe-value-evaluator-badge--warning', warning);
+    badge.textContent = text;
+    const markers = listingHistory.describeSighting(seen);
+    if (markers.length) {
+      const marker = row.ownerDocument.createElement('span');
+      marker.className = 'poe-value-evaluator-history';
+      marker.classList.toggle(
+        'poe-value-evaluator-history--drop',
+        !!(seen.priceChange && seen.priceChange.pct < 0)
+      );
+      marker.textContent = markers.join(' · ');
+      badge.append(' ', marker);
+    }
+    badge.title = titleLines.join('\n');
+
+    row.setAttribute(BADGE_DATA_ATTR, 'true');
+  }
+
+  function processRow(row, value = evaluateRowValue(row)) {
+    if (row.getAttribute(BADGE_DATA_ATTR) === 'true') return;
+    if (!value) return;
+    if (value.kind === 'defence') {
+      processDefenceRow(row, value);
+      return;
+    }
+    if (value.kind === 'spell') {
+      processSpellRow(row, value);
+      return;
+    }
+
+    const { price } = value;
+    const metric = currentMetric();
+
+    const badge = ensureBadge(row);
+    if (!badge) return;
 
     const titleLines = [];
 
+    titleLines.push(`Price: ${value.priceText}`);
+    titleLines.push(`Metric: ${metric.label}`);
+    if (metricId !== 'dps') {
+      titleLines.push(`Trade site DPS: ${value.siteDps}`);
+    }
+    if (typeof value.effectiveDps === 'number' && value.extraDps > 0) {
+      titleLines.push(
+        `Effective DPS: ${value.effectiveDps.toFixed(1)} (incl. ${value.extraDps.toFixed(1)} from extra damage gains)`
+      );
+    }
+    if (value.skillLevels > 0) {
+      titleLines.push(
+        value.skillLevelDps > 0
+          ? `Skill levels: +${value.skillLevels} ≈ +${value.skillLevelDps.toFixed(1)} effective DPS at ${skillLevelDamagePct}% per level`
+          : `Skill levels: +${value.skillLevels} (set a value per level to count them in effective DPS)`
+      );
+    }
     titleLines.push(
-      `Current: ${dps} DPS → ${(dps / price.amount).toFixed(2)}/${currencyShort}`
+      `Current: ${formatDps(value.dps)} ${metric.short} → ${formatRatio(value.dps, price)}`
     );
+    if (typeof value.buildDps === 'number') {
+      titleLines.push(
+        `DPS in your build (${settings.buildProfile.name}): ${value.buildDps.toFixed(1)} → ${formatRatio(value.buildDps, price)}`
+      );
+    } else if (metricId === 'build') {
+      titleLines.push('No build profile imported: DPS in your build is the crit-weighted DPS');
+    }
+
+    if (value.breakdown && value.breakdown.total > 0) {
+      titleLines.push('', ...weaponDps.describeDpsBreakdown(value.breakdown, metric.short));
+    }
 
-    const ironProj = projectDpsWithIronRunes(row);
-    if (ironProj?.ok && typeof ironProj.projectedDps === 'number') {
-      const projected = ironProj.projectedDps;
-      const runeSlots = ironProj.runeSlots ?? 0;
+    if (typeof value.bestDps === 'number') {
       titleLines.push(
         '',
-        `All Iron runes (${runeSlots} slots):`,
-        `  DPS: ${projected.toFixed(1)} → ${(projected / price.amount).toFixed(
-          2
-        )}/${currencyShort}`
+        `Best runes (${value.runeSlotCount} slots): ${value.bestRuneSummary || 'none'}`,
+        `  ${metric.short}: ${value.bestDps.toFixed(1)}, runes ${formatDivine(value.bestRuneCost)} → ${formatRatio(value.bestDps, price, value.bestRuneCost)} incl. runes`
       );
     }
 
-    const effectiveDps =
-      ironProj?.ok && typeof ironProj.projectedDps === 'number'
-        ? ironProj.projectedDps
-        : dps;
-    const ratio = effectiveDps / price.amount;
-    badge.textContent = `${ratio.toFixed(2)} DPS/${currencyShort}`;
-    badge.title = titleLines.join('\n');
+    if (value.recommendedRuneSummary && value.recommendedRuneSummary !== value.bestRuneSummary) {
+      titleLines.push(
+        `Cheapest within ${runeTolerancePct}%: ${value.recommendedRuneSummary}`,
+        `  ${metric.short}: ${value.displayDps.toFixed(1)}, runes ${formatDivine(value.runeCost)} → ${formatRatio(value.displayDps, price, value.runeCost)} incl. runes`
+      );
+    }
 
-    row.setAttribute(BADGE_DATA_ATTR, 'true');
+    if (value.runeSwaps && value.runeSwaps.length) {
+      titleLines.push(`Rune upgrades (${metric.short} per ${baseShort()}):`);
+      for (const swap of value.runeSwaps.slice(0, 3)) {
+        const perCost = Number.isFinite(swap.dpsPerCost) ? swap.dpsPerCost.toFixed(2) : '∞';
+        titleLines.push(
+          `  ${runeName(swap.from)} → ${runeName(swap.to)}: +${swap.dpsDelta.toFixed(1)} for ${formatDivine(swap.costDelta)} (${perCost}/${baseShort()})`
+        );
+      }
+    }
+
+    if (
+      typeof value.ironDps === 'number' &&
+      typeof value.bestDps === 'number' &&
+      value.ironDps.toFixed(1) !== value.bestDps.toFixed(1) &&
+      value.ironDps.toFixed(1) !== value.displayDps.toFixed(1)
+    ) {
+      titleLines.push(`All Iron runes: ${value.ironDps.toFixed(1)} ${metric.short}`);
+    }
+
+    const qp = value.qualityProjection;
+    if (qp && (qp.normal || qp.cap)) {
+      titleLines.push('', `Quality ${qp.quality}%${qp.corrupted ? ' (corrupted)' : ''}:`);
+      for (const projection of [qp.normal, qp.cap]) {
+        if (!projection) continue;
+        const projected = weaponDps.getMetricValue(projection.result, metricId);
+        titleLines.push(
+          `  at ${projection.quality}%: ${projected.toFixed(1)} ${metric.short} → ${formatRatio(projected, price)}`
+        );
+      }
+    }
+
+    if (typeof value.craftedBestDps === 'number') {
+      const { openPrefixes, openSuffixes } = value.affixes;
+      titleLines.push(
+        '',
+        `Crafted ceiling (open: ${openPrefixes} prefix / ${openSuffixes} suffix):`,
+        `  best ${value.craftedBestDps.toFixed(1)} / typical ${value.craftedTypicalDps.toFixed(1)} ${metric.short} (${value.craftedBestAffixes.join(', ')})`
+      );
+    }
+
+    const baseWarning = value.baseCheck && !value.baseCheck.matches;
+    if (baseWarning) {
+      const known = value.knownBase;
+      titleLines.push(
+        '',
+        `⚠ Base mismatch vs ${known.name} (${known.physMin}-${known.physMax} phys, ${known.aps} APS, ${known.crit}% crit):`
+      );
+      for (const issue of value.baseCheck.issues) {
+        titleLines.push(
+          `  ${issue.stat}: reverse-engineered ${issue.actual.toFixed(2)}, expected ${issue.expected} — ${issue.hint}`
+        );
+      }
+      titleLines.push('  DPS projections may be off.');
+    }
+
+    const ratio = computeRatio(value.displayDps, price, value.runeCost);
+    fillBadge(row, badge, {
+      text: `${baseWarning ? '⚠ ' : ''}${ratio.value.toFixed(2)} ${metric.short}/${ratio.unit}`,
+      titleLines,
+      warning: baseWarning,
+      seen: value.history,
+    });
+    addPinButton(row, badge);
+    addCopyButton(row, badge);
+  }
+
+  /**
+   * Badge for an armour piece: defence per currency, with rune and quality projections.
+   */
+  function processDefenceRow(row, value) {
+    const { price, label } = value;
+    const badge = ensureBadge(row);
+    if (!badge) return;
+
+    const formatDefence = (n) => n.toFixed(1);
+    const { armour, evasion, energyShield } = value.defences;
+    const parts = [];
+    if (armour > 0) parts.push(`Armour ${formatDefence(armour)}`);
+    if (evasion > 0) parts.push(`Evasion ${formatDefence(evasion)}`);
+    if (energyShield > 0) parts.push(`Energy Shield ${formatDefence(energyShield)}`);
+
+    const titleLines = [
+      `Price: ${value.priceText}`,
+      `Defences: ${parts.join(', ')}`,
+      `Current: ${formatDefence(value.defence)} ${label} → ${formatRatio(value.defence, price)}`,
+    ];
+
+    if (typeof value.bestDefence === 'number') {
+      titleLines.push(
+        '',
+        `Best runes (${value.runeSlotCount} slots): ${value.bestRuneSummary || 'none'}`,
+        `  ${label}: ${formatDefence(value.bestDefence)}, runes ${formatDivine(value.bestRuneCost)} → ${formatRatio(value.bestDefence, price, value.bestRuneCost)} incl. runes`
+      );
+    }
+    if (value.recommendedRuneSummary && value.recommendedRuneSummary !== value.bestRuneSummary) {
+      titleLines.push(
+        `Cheapest within ${runeTolerancePct}%: ${value.recommendedRuneSummary}`,
+        `  ${label}: ${formatDefence(value.displayDefence)}, runes ${formatDivine(value.runeCost)} → ${formatRatio(value.displayDefence, price, value.runeCost)} incl. runes`
+      );
+    }
+
+    const qp = value.qualityProjection;
+    if (qp && (qp.normal || qp.cap)) {
+      titleLines.push('', `Quality ${qp.quality}%${qp.corrupted ? ' (corrupted)' : ''}:`);
+      for (const projection of [qp.normal, qp.cap]) {
+        if (!projection) continue;
+        const projected = projection.result.totalDefence;
+        titleLines.push(
+          `  at ${projection.quality}%: ${formatDefence(projected)} ${label} → ${formatRatio(projected, price)}`
+        );
+      }
+    }
+
+    const ratio = computeRatio(value.displayDefence, price, value.runeCost);
+    fillBadge(row, badge, {
+      text: `${ratio.value.toFixed(2)} ${label}/${ratio.unit}`,
+      titleLines,
+      seen: value.history,
+    });
+  }
+
+  /**
+   * Evaluate an armour piece. Ranked on total defence (armour + evasion + energy shield)
+   * after buying the cheapest rune mix within the re-rune tolerance, like weapons.
+   */
+  function evaluateDefenceRowValue(row) {
+    const price = normalizePrice(getPrice(row));
+    if (!price) return null;
+
+    const projection = projectDefences(row);
+    if (!projection.ok) return null;
+
+    const id = row.getAttribute('data-id') || null;
+    const historyStatus = trackListing(row, id, projection.parsed, price);
+
+    const { plan, current } = projection;
+    const recommended = plan && plan.recommended.dps > 0 ? plan.recommended : null;
+    const displayDefence = recommended ? recommended.dps : current.totalDefence;
+    const runeCost = recommended ? recommended.cost : 0;
+    const totalCost =
+      typeof price.normalizedAmount === 'number' && price.normalizedAmount > 0
+        ? price.normalizedAmount + runeCost
+        : null;
+
+    return {
+      kind: 'defence',
+      row,
+      id,
+      label: armourDefence.describeDefenceTypes(projection.parsed.final),
+      defences: current,
+      defence: current.totalDefence,
+      displayDefence,
+      bestDefence: plan ? plan.best.dps : null,
+      price,
+      priceAmount: price.amount,
+      priceCurrency: price.currency,
+      priceNormalized: price.normalizedAmount,
+      priceText: describePrice(price),
+      currencyShort: baseShort(),
+      ratio: totalCost ? displayDefence / totalCost : null,
+      bestRuneSummary: plan ? formatRuneConfiguration(plan.best.configuration) : null,
+      bestRuneCost: plan ? plan.best.cost : 0,
+      recommendedRuneSummary: recommended ? formatRuneConfiguration(recommended.configuration) : null,
+      runeCost,
+      totalCost,
+      runeSwaps: plan ? plan.swaps : [],
+      runeSlotCount: projection.runeSlots,
+      affixes: projection.parsed.affixes,
+      qualityProjection: projection.qualityProjection,
+      history: historyStatus,
+    };
+  }
+
+  /**
+   * Badge for a spell weapon: weighted spell score per currency, with the score breakdown.
+   */
+  function processSpellRow(row, value) {
+    const badge = ensureBadge(row);
+    if (!badge) return;
+
+    const titleLines = [
+      `Price: ${value.priceText}`,
+      `Spell score: ${value.score.toFixed(1)} (weighted spell mods, see options)`,
+    ];
+    for (const c of value.contributions) {
+      titleLines.push(
+        `  ${spellWeapon.formatSpellStat(c.stat, c.value)} × ${c.weight} = ${c.points.toFixed(1)}`
+      );
+    }
+    if (!value.contributions.length) titleLines.push('  No scored spell mods');
+
+    const ratio = computeRatio(value.score, value.price);
+    fillBadge(row, badge, {
+      text: `${ratio.value.toFixed(2)} ${SPELL_SCORE_SHORT}/${ratio.unit}`,
+      titleLines,
+      seen: value.history,
+    });
+  }
+
+  /**
+   * Evaluate a wand, staff or sceptre by its weighted spell score (spell-weapon.js).
+   * The score stands in for DPS, so spell weapons rank in the top list like attack weapons.
+   */
+  function evaluateSpellRowValue(row) {
+    const price = normalizePrice(getPrice(row));
+    if (!price) return null;
+
+    const parsed = spellParser.parseSpellWeaponRow(row);
+    if (!parsed) return null;
+
+    const id = row.getAttribute('data-id') || null;
+    const historyStatus = trackListing(row, id, parsed, price);
+    const { score, contributions } = spellWeapon.scoreSpellWeapon(parsed.stats, spellWeights);
+    const totalCost =
+      typeof price.normalizedAmount === 'number' && price.normalizedAmount > 0
+        ? price.normalizedAmount
+        : null;
+
+    return {
+      kind: 'spell',
+      row,
+      id,
+      score,
+      contributions,
+      dps: score,
+      displayDps: score,
+      price,
+      priceAmount: price.amount,
+      priceCurrency: price.currency,
+      priceNormalized: price.normalizedAmount,
+      priceText: describePrice(price),
+      currencyShort: baseShort(),
+      ratio: totalCost ? score / totalCost : null,
+      bestRuneSummary: null,
+      recommendedRuneSummary: null,
+      runeCost: 0,
+      totalCost,
+      runeSwaps: [],
+      runeSlotCount: 0,
+      affixes: parsed.affixes,
+      history: historyStatus,
+    };
   }
 
   function evaluateRowValue(row) {
-    if (!isWeapon(row)) return null;
+    if (!isWeapon(row)) {
+      if (isSpellWeapon(row)) return evaluateSpellRowValue(row);
+      return isArmour(row) ? evaluateDefenceRowValue(row) : null;
+    }
 
     const dps = getDps(row);
-    const price = getPrice(row);
+    const price = normalizePrice(getPrice(row));
     if (dps == null || !price) return null;
 
-    const currencyShort = formatCurrency(price.currency);
+    const projection = projectBestRunes(row);
+    const id = row.getAttribute('data-id') || null;
+    const historyStatus = trackListing(row, id, projection.parsed, price);
 
-    const currentDps = dps;
-    const ironProj = projectDpsWithIronRunes(row);
-    const runeSlotCount = ironProj?.runeSlots ?? 0;
-    const bestDps =
-      ironProj?.ok && typeof ironProj.projectedDps === 'number'
-        ? ironProj.projectedDps
-        : null;
+    // Plain DPS trusts the trade site's number; other metrics come from the model.
+    let currentDps = dps;
+    if (metricId !== 'dps') {
+      if (!projection.ok) return null;
+      currentDps = weaponDps.getMetricValue(projection.current, metricId);
+    }
 
-    const effectiveDps = typeof bestDps === 'number' && bestDps > 0 ? bestDps : currentDps;
-    const ratio = effectiveDps / price.amount;
-    const id = row.getAttribute('data-id') || null;
+    const runeSlotCount = projection.runeSlots ?? 0;
+    const plan = projection.ok ? projection.plan : null;
+    const bestDps = plan ? plan.best.dps : null;
+    const recommended = plan && plan.recommended.dps > 0 ? plan.recommended : null;
+    const ironProj = projectDpsWithIronRunes(row, projection);
+    const ironDps = ironProj.ok ? ironProj.projectedDps : null;
+
+    const crafted = projection.ok ? projection.crafted : null;
+    const craftedBest = crafted && crafted.best ? crafted.best : null;
+
+    // Rank on "buy and re-rune": cheapest mix within tolerance, listing price + rune costs.
+    // The crafted-ceiling mode instead ranks on the best-case crafted DPS at listing price.
+    let effectiveDps = recommended ? recommended.dps : currentDps;
+    let runeCost = recommended ? recommended.cost : 0;
+    if (currentMetric().crafted) {
+      effectiveDps = craftedBest ? craftedBest.dps : currentDps;
+      runeCost = 0;
+    }
+    // Ratio is always DPS per divine so listings in different currencies rank together.
+    const totalCost =
+      typeof price.normalizedAmount === 'number' && price.normalizedAmount > 0
+        ? price.normalizedAmount + runeCost
+        : null;
+    const ratio = totalCost ? effectiveDps / totalCost : null;
 
     return {
+      kind: 'weapon',
       row,
       id,
       dps: currentDps,
+      siteDps: dps,
+      effectiveDps: projection.ok ? projection.current.effectiveDps : null,
+      extraDps: projection.ok ? projection.current.extraDps : 0,
+      skillLevels: projection.ok ? projection.current.skillLevels : 0,
+      skillLevelDps: projection.ok ? projection.current.skillLevelDps : 0,
+      buildDps: projection.ok && buildModifiers ? projection.current.buildDps : null,
+      breakdown: projection.ok ? projection.breakdown : null,
+      metricId,
       displayDps: effectiveDps,
       bestDps,
+      ironDps,
+      price,
       priceAmount: price.amount,
       priceCurrency: price.currency,
-      currencyShort,
+      priceNormalized: price.normalizedAmount,
+      priceText: describePrice(price),
+      currencyShort: baseShort(),
       ratio,
-      bestRuneSummary: bestDps ? `All Iron (${runeSlotCount} slots)` : null,
+      bestRuneSummary: plan ? formatRuneConfiguration(plan.best.configuration) : null,
+      bestRuneCost: plan ? plan.best.cost : 0,
+      recommendedRuneSummary: recommended
+        ? formatRuneConfiguration(recommended.configuration)
+        : null,
+      runeCost,
+      totalCost,
+      runeSwaps: plan ? plan.swaps : [],
       runeSlotCount,
+      affixes: projection.ok ? projection.parsed.affixes : null,
+      qualityProjection: projection.ok ? projection.qualityProjection : null,
+      craftedBestDps: craftedBest ? craftedBest.dps : null,
+      craftedBestAffixes: craftedBest ? craftedBest.added.map((a) => a.label) : [],
+      craftedTypicalDps: crafted && crafted.typical ? crafted.typical.dps : null,
+      knownBase: projection.ok ? projection.knownBase : null,
+      baseCheck: projection.ok ? projection.baseCheck : null,
+      history: historyStatus,
     };
   }
 
-  function renderTopList(entries) {
-    if (!entries || entries.length === 0) return;
+  /**
+   * @param {Array<Object>} entries - evaluateRowValue results
+   * @param {Document} doc - Document the panel lives in
+   */
+  function renderTopList(entries, doc) {
+    // Defence listings are badged only. Attack DPS and spell score don't rank together
+    // either, so the list shows whichever kind of weapon the page has more of.
+    const attack = (entries || []).filter((entry) => entry.kind === 'weapon');
+    const spell = (entries || []).filter((entry) => entry.kind === 'spell');
+    const spellList = spell.length > attack.length;
+    const weapons = spellList ? spell : attack;
+    // Don't open the panel for an empty page, but do clear it once rows are gone.
+    if (!panel && weapons.length === 0) return;
+
+    ensurePanel(doc).render(weapons, {
+      metricShort: spellList ? SPELL_SCORE_SHORT : currentMetric().short,
+      unit: baseShort(),
+      formatRuneCost: formatDivine,
+    });
+  }
+
+  // ===== Export =====
+  /**
+   * One evaluated listing as plain data for listing-export.js: the evaluation plus the
+   * parsed item (final stats or spell stats, reverse-engineered base, mod lines as in
+   * item text).
+   */
+  function createExportRecord(value) {
+    const { row, kind } = value;
+    const root = weaponParser.findItemRoot(row);
+    const parsed =
+      kind === 'weapon' ? weaponParser.parseAndReverseEngineer(row)
+        : kind === 'defence' ? armourParser.parseAndReverseEngineerArmour(row)
+          : spellParser.parseSpellWeaponRow(row);
+    const header = root ? weaponParser.parseItemHeader(root) : {};
+    const defence = kind === 'defence';
+    const current = defence ? value.defence : value.dps;
+    const best = (defence ? value.bestDefence : value.bestDps) ?? null;
+    const price = value.priceNormalized > 0 ? value.priceNormalized : null;
 
-    ensurePanel();
-    attachPanelClickHandler();
+    return {
+      id: value.id,
+      kind,
+      name: header.name ?? null,
+      typeLine: header.typeLine ?? null,
+      itemClass: parsed ? parsed.itemClass : null,
+      rarity: value.affixes ? value.affixes.rarity : null,
+      corrupted: !!(value.affixes && value.affixes.corrupted),
+      metric: defence ? value.label : kind === 'spell' ? SPELL_SCORE_SHORT : currentMetric().short,
+      current,
+      siteDps: kind === 'weapon' ? value.siteDps : null,
+      best,
+      ranked: defence ? value.displayDefence : value.displayDps,
+      // Per divine: as ranked (recommended runes included), as listed, with the best runes.
+      ratio: {
+        ranked: value.ratio,
+        current: price ? current / price : null,
+        best: price && best != null ? best / (price + (value.bestRuneCost ?? 0)) : null,
+      },
+      price: {
+        amount: value.priceAmount,
+        currency: value.priceCurrency,
+        [currencyLib.BASE_CURRENCY]: value.priceNormalized ?? null,
+      },
+      runes: {
+        slots: value.runeSlotCount,
+        best: value.bestRuneSummary ?? null,
+        bestCost: value.bestRuneCost ?? 0,
+        recommended: value.recommendedRuneSummary ?? null,
+        recommendedCost: value.runeCost,
+      },
+      totalCost: value.totalCost,
+      stats: parsed ? parsed.final || parsed.stats : null,
+      ...(parsed && parsed.base ? { base: parsed.base } : {}),
+      mods: root
+        ? weaponParser
+          .parseModLines(root)
+          .map((line) => (line.source === 'explicit' ? line.text : `${line.text} (${line.source})`))
+        : [],
+    };
+  }
 
-    const top = entries
-      .slice()
-      .sort((a, b) => b.ratio - a.ratio)
-      .slice(0, 5);
+  /**
+   * Every evaluated listing under `root` (weapons, spell weapons and armour, in page order)
+   * as CSV or JSON text.
+   *
+   * @param {string} format - Key of listingExport.EXPORT_FORMATS ('csv' or 'json')
+   * @param {Document|Element} [root]
+   * @returns {string}
+   */
+  function exportListings(format, root = pageRoot) {
+    const records = root ? cachedEntries(root).map(createExportRecord) : [];
+    return listingExport.EXPORT_FORMATS[format].serialize(records, {
+      exportedAt: new Date().toISOString(),
+      currency: currencyLib.BASE_CURRENCY,
+      metric: currentMetric().label,
+    });
+  }
 
-    if (top.length === 0) {
-      return;
+  function createExportButtons(doc) {
+    const container = doc.createElement('div');
+    container.className = `${APP}-export`;
+    container.append('Export all listings:');
+    for (const [format, spec] of Object.entries(listingExport.EXPORT_FORMATS)) {
+      const button = doc.createElement('button');
+      button.type = 'button';
+      button.textContent = spec.label;
+      button.addEventListener('click', () => {
+        listingExport.downloadExport(doc, format, exportListings(format));
+      });
+      container.append(' ', button);
     }
+    return container;
+  }
 
-    let html = `<b>Best DPS/Div (Top 5)</b><br>`;
-
-    top.forEach((entry, i) => {
-      const ratioText = entry.ratio.toFixed(2); // based on best-rune DPS
-      const currentDpsText =
-        typeof entry.dps === 'number' && Number.isFinite(entry.dps)
-          ? entry.dps.toFixed(1)
-          : '?';
-      const bestDpsText = entry.displayDps.toFixed(1);
-      const priceText = `${entry.priceAmount} ${entry.priceCurrency}`;
-      const runeText =
-        entry.bestRuneSummary && entry.runeSlotCount > 0
-          ? ` | Runes: ${entry.bestRuneSummary}`
-          : '';
-
-      const safeId = entry.id || '';
-      const safeIndex =
-        typeof entry.index === 'number' && Number.isFinite(entry.index)
-          ? entry.index
-          : '';
-
-      html += `#${i + 1}: <a class="${PANEL_LINK_CLASS}" data-id="${safeId}" data-index="${safeIndex}"><b>${ratioText}</b></a> (${currentDpsText}→${bestDpsText} DPS for ${priceText}${runeText})<br>`;
-    });
+  // ===== Row cache (incremental processing) =====
+  // Evaluations by row data-id (the row element itself when it has none). Each listing is
+  // parsed once; settings changes clear the cache through reevaluateAllRows.
+  /** @type {Map<string|Element, { row: Element, value: Object|null }>} */
+  const rowCache = new Map();
 
-    setPanel(html);
+  function rowKey(row) {
+    return row.getAttribute('data-id') || row;
   }
 
-  let processScheduled = false;
+  /**
+   * Evaluate a row unless it is cached, and badge it if it has no badge yet.
+   *
+   * @returns {boolean} Whether anything changed (new evaluation or badge)
+   */
+  function ensureRowProcessed(row) {
+    const key = rowKey(row);
+    let entry = rowCache.get(key);
+    let changed = false;
+    if (!entry) {
+      entry = { row, value: evaluateRowValue(row) };
+      rowCache.set(key, entry);
+      changed = true;
+    }
+    // Same listing re-rendered by the site: keep the evaluation, badge the new element.
+    entry.row = row;
+    if (entry.value && row.getAttribute(BADGE_DATA_ATTR) !== 'true') {
+      processRow(row, entry.value);
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Cached values for the top list. Rows without a data-id are found by index on jump.
+   */
+  function cachedEntries(root) {
+    const entries = [];
+    let rows = null;
+    for (const [key, { row, value }] of rowCache) {
+      if (!value) continue;
+      if (typeof key !== 'string') {
+        rows = rows || Array.from(root.querySelectorAll('.row'));
+        value.index = rows.indexOf(row);
+      }
+      entries.push(value);
+    }
+    return entries;
+  }
 
-  function processAllRows() {
-    const rows = document.querySelectorAll('.row');
+  /**
+   * Evaluate every `.row` under `root`, add missing badges and refresh the top list.
+   * Rows already in the cache are not re-parsed; cached rows no longer under `root` are dropped.
+   *
+   * @param {Document|Element} [root] - Defaults to the last processed root
+   * @returns {Array<Object>} evaluateRowValue results, with the row's index
+   */
+  function processAllRows(root = pageRoot) {
+    if (!root) return [];
+    pageRoot = root;
+    const rows = root.querySelectorAll('.row');
+    const keys = new Set();
     const evaluated = [];
 
     rows.forEach((row, index) => {
-      const value = evaluateRowValue(row);
+      ensureRowProcessed(row);
+      const key = rowKey(row);
+      keys.add(key);
+      const { value } = rowCache.get(key);
       if (value) {
         value.index = index;
         evaluated.push(value);
       }
-
-      if (row.getAttribute(BADGE_DATA_ATTR) !== 'true') {
-        processRow(row);
-      }
     });
 
-    renderTopList(evaluated);
-  }
+    for (const key of rowCache.keys()) {
+      if (!keys.has(key)) rowCache.delete(key);
+    }
 
-  function findResultsContainer() {
-    return (
-      document.querySelector('.search-results') ||
-      document.querySelector('[class*="result"]') ||
-      document.querySelector('main') ||
-      document.body
-    );
+    renderTopList(evaluated, ownerDocument(root));
+    renderTray(ownerDocument(root));
+    return evaluated;
   }
 
-  function scheduleProcessAllRows() {
-    if (processScheduled) return;
-    processScheduled = true;
-    window.requestAnimationFrame(() => {
-      processScheduled = false;
-      processAllRows();
-    });
+  /**
+   * Rows added to the page (e.g. infinite scroll): evaluate and badge only those, then
+   * refresh the top list from the cache.
+   *
+   * @param {Element[]} rows - `.row` elements
+   * @param {Document|Element} [root] - Page root, for the panel and jump fallbacks
+   * @returns {boolean} Whether any row was newly evaluated or badged
+   */
+  function addRows(rows, root = pageRoot) {
+    if (!rows.length) return false;
+    let changed = false;
+    for (const row of rows) {
+      if (ensureRowProcessed(row)) changed = true;
+    }
+    pageRoot = root || ownerDocument(rows[0]);
+    if (changed) renderTopList(cachedEntries(pageRoot), ownerDocument(pageRoot));
+    return changed;
   }
 
-  function init() {
-    const container = findResultsContainer();
-    if (!container) {
-      setTimeout(init, 500);
-      return;
+  /**
+   * Rows removed from the page: forget them and refresh the top list.
+   *
+   * @param {Element[]} rows - `.row` elements
+   * @param {Document|Element} [root]
+   * @returns {boolean} Whether any cached row was dropped
+   */
+  function removeRows(rows, root = pageRoot) {
+    let changed = false;
+    for (const row of rows) {
+      const key = rowKey(row);
+      const entry = rowCache.get(key);
+      // A newer element for the same listing may have replaced this one.
+      if (entry && entry.row === row) {
+        rowCache.delete(key);
+        changed = true;
+      }
     }
+    if (changed && root) renderTopList(cachedEntries(root), ownerDocument(root));
+    return changed;
+  }
 
-    processAllRows();
+  /**
+   * Whether a node is one of ours (badge, panel) rather than trade-site content, so
+   * observers can skip the mutations our own writes cause.
+   *
+   * @param {Node} node
+   */
+  function isOwnNode(node) {
+    const el = node.nodeType === 1 ? node : node.parentElement;
+    return !!(el && el.closest(`.poe-value-evaluator-badge, #${PANEL_ID}, #${TRAY_ID}`));
+  }
 
-    const observer = new MutationObserver(() => {
-      scheduleProcessAllRows();
-    });
+  /**
+   * Drop the cache and badges' evaluated flag so every row is re-evaluated (e.g. after rates change).
+   */
+  function reevaluateAllRows(root = pageRoot) {
+    if (!root) return;
+    rowCache.clear();
+    for (const row of root.querySelectorAll(`.row[${BADGE_DATA_ATTR}]`)) {
+      row.removeAttribute(BADGE_DATA_ATTR);
+    }
+    processAllRows(root);
+  }
 
-    observer.observe(container, {
-      childList: true,
-      subtree: true
-    });
+  /**
+   * Settings edited on the options page or in another tab: re-sync the panel and re-rank.
+   */
+  function onExternalSettingsChange(next) {
+    if (JSON.stringify(next) === JSON.stringify(settings)) return;
+    applySettings(next);
+    if (panel) {
+      panel.setSettings(settings.panel);
+      panel.setSections(createPanelSections(panel.element.ownerDocument));
+    }
+    reevaluateAllRows();
   }
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.content = {
+      applySettings,
+      onExternalSettingsChange,
+      setHistory,
+      setPinned,
+      getDps,
+      getPrice,
+      isWeapon,
+      isArmour,
+      isSpellWeapon,
+      projectBestRunes,
+      projectDefences,
+      projectDpsWithIronRunes,
+      evaluateRowValue,
+      processRow,
+      processAllRows,
+      addRows,
+      removeRows,
+      isOwnNode,
+      reevaluateAllRows,
+      renderTopList,
+      jumpToRowById,
+      togglePin,
+      copyItemText,
+      exportListings,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      applySettings,
+      onExternalSettingsChange,
+      setHistory,
+      setPinned,
+      getDps,
+      getPrice,
+      isWeapon,
+      isArmour,
+      isSpellWeapon,
+      projectBestRunes,
+      projectDefences,
+      projectDpsWithIronRunes,
+      evaluateRowValue,
+      processRow,
+      processAllRows,
+      addRows,
+      removeRows,
+      isOwnNode,
+      reevaluateAllRows,
+      renderTopList,
+      jumpToRowById,
+      togglePin,
+      copyItemText,
+      exportListings,
+    };
   }
 })();
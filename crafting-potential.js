@@ -0,0 +1,151 @@
+/**
+ * Crafting potential for weapons with open affix slots.
+ *
+ * Cheap listings often have empty prefixes/suffixes; their value is what you could craft
+ * onto them. We project DPS after filling open slots with damage affixes, once with
+ * best-case (top tier) rolls and once with typical mid-tier rolls.
+ *
+ * Values are for two-handed weapons; one-handed flat damage rolls are roughly half, so
+ * flat affixes are halved for ONE_HAND_CLASSES.
+ *
+ * Sources: PoE2DB modifier tiers
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * @typedef {Object} CraftAffix
+   * @property {string} group - Mod group; an item can only have one affix per group
+   * @property {'prefix'|'suffix'} type
+   * @property {string} label
+   * @property {Object<string, number>} stats - KnownModifiers contribution
+   */
+
+  /** @type {{ best: CraftAffix[], typical: CraftAffix[] }} */
+  const CRAFT_AFFIXES = {
+    best: [
+      { group: 'increasedPhys', type: 'prefix', label: '170% inc phys', stats: { increasedPhys: 170 } },
+      { group: 'flatPhys', type: 'prefix', label: 'Adds 28-48 phys', stats: { flatPhysMin: 28, flatPhysMax: 48 } },
+      { group: 'increasedAttackSpeed', type: 'suffix', label: '24% attack speed', stats: { increasedAttackSpeed: 24 } },
+      { group: 'flatCritChance', type: 'suffix', label: '+4.5% crit', stats: { flatCritChance: 4.5 } },
+    ],
+    typical: [
+      { group: 'increasedPhys', type: 'prefix', label: '100% inc phys', stats: { increasedPhys: 100 } },
+      { group: 'flatPhys', type: 'prefix', label: 'Adds 15-26 phys', stats: { flatPhysMin: 15, flatPhysMax: 26 } },
+      { group: 'increasedAttackSpeed', type: 'suffix', label: '14% attack speed', stats: { increasedAttackSpeed: 14 } },
+      { group: 'flatCritChance', type: 'suffix', label: '+2.5% crit', stats: { flatCritChance: 2.5 } },
+    ],
+  };
+
+  /**
+   * Item classes whose flat damage rolls are the one-handed (about half) tiers.
+   */
+  const ONE_HAND_CLASSES = ['One Hand Mace', 'One Hand Sword', 'One Hand Axe', 'Claw', 'Dagger', 'Flail', 'Spear'];
+
+  const ONE_HAND_FLAT_SCALE = 0.5;
+
+  const FLAT_STATS = ['flatPhysMin', 'flatPhysMax'];
+
+  /**
+   * Craftable affixes of a tier for an item class (one-handed classes get halved flat rolls).
+   *
+   * @param {'best'|'typical'} tier
+   * @param {string|null} [itemClass]
+   * @returns {CraftAffix[]}
+   */
+  function craftAffixesFor(tier, itemClass) {
+    const affixes = CRAFT_AFFIXES[tier] || CRAFT_AFFIXES.best;
+    if (!ONE_HAND_CLASSES.includes(itemClass)) return affixes;
+
+    return affixes.map((affix) => {
+      if (!FLAT_STATS.some((k) => k in affix.stats)) return affix;
+      const stats = {};
+      for (const [k, v] of Object.entries(affix.stats)) {
+        stats[k] = FLAT_STATS.includes(k) ? Math.round(v * ONE_HAND_FLAT_SCALE) : v;
+      }
+      return { ...affix, stats, label: `Adds ${stats.flatPhysMin}-${stats.flatPhysMax} phys` };
+    });
+  }
+
+  /**
+   * All subsets of `items` with at most `max` entries.
+   */
+  function subsetsUpTo(items, max) {
+    const out = [[]];
+    for (const item of items) {
+      const size = out.length;
+      for (let i = 0; i < size; i++) {
+        if (out[i].length < max) out.push([...out[i], item]);
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Project the best DPS reachable by crafting onto open affix slots.
+   *
+   * @param {import('./weapon-dps.js').BaseWeaponStats} base
+   * @param {import('./weapon-dps.js').KnownModifiers} mods - Current mods (runes included)
+   * @param {{ openPrefixes: number, openSuffixes: number, groups: string[] }} affixes - From parseAffixes
+   * @param {Function} calcDps - calcWeaponDps
+   * @param {Function} buildInputs - buildWeaponInputs
+   * @param {Object} [options]
+   * @param {'best'|'typical'} [options.tier='best']
+   * @param {string|null} [options.itemClass] - One-handed classes get one-handed flat rolls
+   * @param {Function} [options.score] - (calcDps result) => number to maximize; defaults to total DPS
+   * @returns {{ dps: number, result: object, added: CraftAffix[] }|null} null when nothing can be crafted
+   */
+  function projectCraftedDps(base, mods, affixes, calcDps, buildInputs, options = {}) {
+    if (!affixes || (!affixes.openPrefixes && !affixes.openSuffixes)) return null;
+
+    const score = options.score || ((result) => result.totalDps);
+    const present = new Set(affixes.groups || []);
+    const pool = craftAffixesFor(options.tier, options.itemClass).filter(
+      (affix) => !present.has(affix.group)
+    );
+
+    const prefixSets = subsetsUpTo(pool.filter((a) => a.type === 'prefix'), affixes.openPrefixes);
+    const suffixSets = subsetsUpTo(pool.filter((a) => a.type === 'suffix'), affixes.openSuffixes);
+
+    let best = null;
+    for (const prefixSet of prefixSets) {
+      for (const suffixSet of suffixSets) {
+        const added = [...prefixSet, ...suffixSet];
+        if (!added.length) continue;
+
+        const crafted = { ...mods };
+        for (const affix of added) {
+          for (const [k, v] of Object.entries(affix.stats)) {
+            crafted[k] = (crafted[k] ?? 0) + v;
+          }
+        }
+
+        const result = calcDps(buildInputs(base, crafted));
+        const dps = score(result);
+        if (!best || dps > best.dps) best = { dps, result, added };
+      }
+    }
+
+    return best;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.craftingPotential = {
+      CRAFT_AFFIXES,
+      ONE_HAND_CLASSES,
+      craftAffixesFor,
+      projectCraftedDps,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      CRAFT_AFFIXES,
+      ONE_HAND_CLASSES,
+      craftAffixesFor,
+      projectCraftedDps,
+    };
+  }
+})();
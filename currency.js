@@ -0,0 +1,127 @@
+/**
+ * Currency normalization for trade listings.
+ *
+ * Listings are priced in different orbs, so DPS/cost ratios are only comparable
+ * once every price is converted to one unit. Exchange rates are expressed as
+ * "how many of this currency equal 1 divine" (1 div = N ex = M chaos) and are
+ * user-editable from the panel.
+ */
+
+(function () {
+  'use strict';
+
+  const BASE_CURRENCY = 'divine';
+
+  /**
+   * Default exchange rates: amount of each currency worth 1 divine.
+   * Rough market values; users are expected to keep these up to date.
+   */
+  const DEFAULT_EXCHANGE_RATES = {
+    divine: 1,
+    exalted: 200,
+    chaos: 15,
+  };
+
+  const CURRENCY_SHORT = {
+    divine: 'div',
+    chaos: 'chaos',
+    exalted: 'ex',
+    mirror: 'mirror',
+  };
+
+  /**
+   * Canonical currency key from trade site text, e.g. "Divine Orb" -> "divine".
+   */
+  function normalizeCurrency(currency) {
+    if (!currency || typeof currency !== 'string') return null;
+    const key = currency.trim().toLowerCase().replace(/\s+orbs?$/, '');
+    if (!key) return null;
+    if (key === 'div') return 'divine';
+    if (key === 'ex' || key === 'exalt') return 'exalted';
+    return key;
+  }
+
+  /**
+   * Format currency for display (e.g., "divine" -> "div", "chaos" -> "chaos").
+   *
+   * @param {string} currency
+   * @param {Object<string, string>} [shortNames=CURRENCY_SHORT] - User display names
+   */
+  function formatCurrency(currency, shortNames = CURRENCY_SHORT) {
+    const key = normalizeCurrency(currency);
+    if (!key) return '?';
+    return shortNames[key] || CURRENCY_SHORT[key] || key.slice(0, 3);
+  }
+
+  /**
+   * Merge user rates over the defaults, dropping anything that is not a positive number.
+   *
+   * @param {Object} [rates]
+   * @returns {Object} Rates keyed by canonical currency, base currency pinned to 1
+   */
+  function sanitizeRates(rates) {
+    const out = { ...DEFAULT_EXCHANGE_RATES };
+    if (rates && typeof rates === 'object') {
+      for (const [k, v] of Object.entries(rates)) {
+        const key = normalizeCurrency(k);
+        const n = Number(v);
+        if (key && Number.isFinite(n) && n > 0) out[key] = n;
+      }
+    }
+    out[BASE_CURRENCY] = 1;
+    return out;
+  }
+
+  /**
+   * Convert a price to the base currency (divine).
+   *
+   * @param {number} amount
+   * @param {string} currency
+   * @param {Object} [rates] - Exchange rates (see DEFAULT_EXCHANGE_RATES)
+   * @returns {number|null} Amount in divine, or null when no rate is known
+   */
+  function toBaseCurrency(amount, currency, rates = DEFAULT_EXCHANGE_RATES) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return null;
+    const key = normalizeCurrency(currency);
+    if (!key) return null;
+    const rate = key === BASE_CURRENCY ? 1 : rates[key];
+    if (typeof rate !== 'number' || !(rate > 0)) return null;
+    return amount / rate;
+  }
+
+  /**
+   * Format an amount with its short currency name, e.g. "50 ex" or "0.25 div".
+   */
+  function formatPrice(amount, currency, digits, shortNames) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return '?';
+    const text = typeof digits === 'number' ? amount.toFixed(digits) : String(amount);
+    return `${text} ${formatCurrency(currency, shortNames)}`;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.currency = {
+      BASE_CURRENCY,
+      DEFAULT_EXCHANGE_RATES,
+      CURRENCY_SHORT,
+      normalizeCurrency,
+      formatCurrency,
+      sanitizeRates,
+      toBaseCurrency,
+      formatPrice,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      BASE_CURRENCY,
+      DEFAULT_EXCHANGE_RATES,
+      CURRENCY_SHORT,
+      normalizeCurrency,
+      formatCurrency,
+      sanitizeRates,
+      toBaseCurrency,
+      formatPrice,
+    };
+  }
+})();
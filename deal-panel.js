@@ -0,0 +1,433 @@
+/**
+ * Top-deals panel component.
+ *
+ * Owns the floating #poe2deal-panel: header (collapse + drag), filter/sort controls,
+ * the deal list and any extra sections the caller adds (metric picker, rate editors…).
+ * Only the list is re-rendered when entries change, and only if its markup changed,
+ * so controls keep focus and we do not spam DOM mutations.
+ *
+ * Settings are plain data; persistence is up to the caller via onSettingsChange.
+ */
+
+(function () {
+  'use strict';
+
+  const DEFAULT_PANEL_SETTINGS = {
+    topN: 5,
+    currency: 'all',
+    minDps: null,
+    maxPrice: null,
+    runeSlots: 'any',
+    sortBy: 'ratio',
+    collapsed: false,
+    position: null,
+  };
+
+  /**
+   * Sortable columns. `get` reads an evaluated entry (see evaluateRowValue in content.js);
+   * `dir` is -1 for "higher first", 1 for "lower first".
+   */
+  const SORT_COLUMNS = {
+    ratio: { label: 'Ratio', get: (e) => e.ratio, dir: -1 },
+    dps: { label: 'Current DPS', get: (e) => e.dps, dir: -1 },
+    // Listings without a rune mix to search (no sockets, spell weapons) keep their value.
+    bestDps: { label: 'Best DPS', get: (e) => e.bestDps ?? e.displayDps, dir: -1 },
+    // The cheapest mix within the re-rune tolerance, which the list shows and ranks by.
+    recommendedDps: { label: 'Recommended DPS', get: (e) => e.displayDps, dir: -1 },
+    price: { label: 'Price', get: (e) => e.priceNormalized, dir: 1 },
+  };
+
+  function positiveOrNull(v) {
+    const n = Number(v);
+    return v != null && v !== '' && Number.isFinite(n) && n > 0 ? n : null;
+  }
+
+  /**
+   * Fill defaults and drop invalid values from stored settings.
+   */
+  function sanitizePanelSettings(settings) {
+    const s = { ...DEFAULT_PANEL_SETTINGS, ...(settings || {}) };
+    const topN = Math.floor(Number(s.topN));
+    return {
+      topN: Number.isFinite(topN) && topN > 0 ? Math.min(topN, 100) : DEFAULT_PANEL_SETTINGS.topN,
+      currency: typeof s.currency === 'string' && s.currency ? s.currency : 'all',
+      minDps: positiveOrNull(s.minDps),
+      maxPrice: positiveOrNull(s.maxPrice),
+      runeSlots:
+        s.runeSlots === 'any' || !Number.isInteger(Number(s.runeSlots)) ? 'any' : Number(s.runeSlots),
+      sortBy: SORT_COLUMNS[s.sortBy] ? s.sortBy : 'ratio',
+      collapsed: !!s.collapsed,
+      position:
+        s.position && Number.isFinite(s.position.left) && Number.isFinite(s.position.top)
+          ? { left: s.position.left, top: s.position.top }
+          : null,
+    };
+  }
+
+  /**
+   * Apply panel filters and sort; returns at most settings.topN entries.
+   * Entries without a value for the sort column sink to the bottom.
+   */
+  function filterAndSortEntries(entries, settings) {
+    const s = sanitizePanelSettings(settings);
+    const column = SORT_COLUMNS[s.sortBy];
+
+    return (entries || [])
+      .filter((e) => typeof e.ratio === 'number')
+      .filter((e) => s.currency === 'all' || e.priceCurrency === s.currency)
+      .filter((e) => s.minDps == null || e.displayDps >= s.minDps)
+      .filter((e) => s.maxPrice == null || (typeof e.priceNormalized === 'number' && e.priceNormalized <= s.maxPrice))
+      .filter((e) => s.runeSlots === 'any' || e.runeSlotCount === s.runeSlots)
+      .sort((a, b) => {
+        const va = column.get(a);
+        const vb = column.get(b);
+        const na = typeof va === 'number' && Number.isFinite(va);
+        const nb = typeof vb === 'number' && Number.isFinite(vb);
+        if (!na || !nb) return (na ? 0 : 1) - (nb ? 0 : 1);
+        return (va - vb) * column.dir;
+      })
+      .slice(0, s.topN);
+  }
+
+  function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, (c) => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;',
+    })[c]);
+  }
+
+  /**
+   * Create the panel and attach it to the page.
+   *
+   * @param {Object} options
+   * @param {string} options.id - Element id (e.g. "poe2deal-panel")
+   * @param {string} options.app - Class prefix (e.g. "poe2deal")
+   * @param {string} options.linkClass - Class on row links
+   * @param {Object} [options.settings] - Stored panel settings
+   * @param {Function} [options.onSettingsChange] - (settings) => void, called after any change
+   * @param {Function} [options.onJump] - (id, index) => void when a deal is clicked
+   * @param {Document} [options.doc=document]
+   * @returns {{ element: Element, render: Function, addSection: Function, getSettings: Function }}
+   */
+  function createDealPanel(options) {
+    const doc = options.doc || document;
+    const app = options.app;
+    let settings = sanitizePanelSettings(options.settings);
+    let lastEntries = [];
+    let lastLabels = {};
+    let lastListHtml = null;
+
+    const panel = doc.createElement('div');
+    panel.id = options.id;
+
+    const header = doc.createElement('div');
+    header.className = `${app}-header`;
+    const title = doc.createElement('span');
+    title.className = `${app}-title`;
+    const toggle = doc.createElement('button');
+    toggle.type = 'button';
+    toggle.className = `${app}-toggle`;
+    header.append(title, toggle);
+
+    const body = doc.createElement('div');
+    body.className = `${app}-body`;
+
+    const controls = doc.createElement('form');
+    controls.className = `${app}-controls`;
+    controls.addEventListener('submit', (e) => e.preventDefault());
+
+    const list = doc.createElement('div');
+    list.className = `${app}-list`;
+    list.textContent = 'poe2deal: loading…';
+
+    const sections = doc.createElement('div');
+    sections.className = `${app}-sections`;
+
+    body.append(controls, list, sections);
+    panel.append(header, body);
+    doc.documentElement.appendChild(panel);
+
+    function commit(patch) {
+      settings = sanitizePanelSettings({ ...settings, ...patch });
+      if (options.onSettingsChange) options.onSettingsChange(settings);
+    }
+
+    // ----- Controls -----
+    function labelled(text, input) {
+      const label = doc.createElement('label');
+      label.append(text, input);
+      return label;
+    }
+
+    function numberInput(name, value, placeholder) {
+      const input = doc.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = 'any';
+      input.name = name;
+      input.placeholder = placeholder;
+      input.value = value == null ? '' : String(value);
+      return input;
+    }
+
+    function select(name, choices, value) {
+      const el = doc.createElement('select');
+      el.name = name;
+      for (const [v, text] of choices) {
+        const option = doc.createElement('option');
+        option.value = String(v);
+        option.textContent = text;
+        option.selected = String(v) === String(value);
+        el.appendChild(option);
+      }
+      return el;
+    }
+
+    const topNInput = numberInput('topN', settings.topN, '5');
+    topNInput.min = '1';
+    const sortSelect = select(
+      'sortBy',
+      Object.entries(SORT_COLUMNS).map(([k, c]) => [k, c.label]),
+      settings.sortBy
+    );
+    const currencySelect = select('currency', [['all', 'any']], settings.currency);
+    const minDpsInput = numberInput('minDps', settings.minDps, 'any');
+    const maxPriceInput = numberInput('maxPrice', settings.maxPrice, 'any');
+    const slotsSelect = select(
+      'runeSlots',
+      [['any', 'any'], [0, '0'], [1, '1'], [2, '2'], [3, '3']],
+      settings.runeSlots
+    );
+    const minDpsLabel = labelled('Min DPS ', minDpsInput);
+    const maxPriceLabel = labelled('Max price ', maxPriceInput);
+
+    controls.append(
+      labelled('Top ', topNInput),
+      labelled('Sort ', sortSelect),
+      labelled('Currency ', currencySelect),
+      minDpsLabel,
+      maxPriceLabel,
+      labelled('Rune slots ', slotsSelect)
+    );
+
+    controls.addEventListener('change', () => {
+      commit({
+        topN: topNInput.value,
+        sortBy: sortSelect.value,
+        currency: currencySelect.value,
+        minDps: minDpsInput.value,
+        maxPrice: maxPriceInput.value,
+        runeSlots: slotsSelect.value === 'any' ? 'any' : Number(slotsSelect.value),
+      });
+      topNInput.value = String(settings.topN);
+      renderList();
+    });
+
+    /**
+     * Keep the currency filter's options in sync with the currencies on the page,
+     * without dropping the stored selection.
+     */
+    function syncCurrencyOptions(entries) {
+      const currencies = new Set(entries.map((e) => e.priceCurrency).filter(Boolean));
+      if (settings.currency !== 'all') currencies.add(settings.currency);
+      const wanted = ['all', ...Array.from(currencies).sort()];
+      const existing = Array.from(currencySelect.options).map((o) => o.value);
+      if (wanted.join('|') === existing.join('|')) return;
+
+      currencySelect.textContent = '';
+      for (const v of wanted) {
+        const option = doc.createElement('option');
+        option.value = v;
+        option.textContent = v === 'all' ? 'any' : v;
+        option.selected = v === settings.currency;
+        currencySelect.appendChild(option);
+      }
+    }
+
+    // ----- Collapse -----
+    function applyCollapsed() {
+      panel.classList.toggle(`${app}-collapsed`, settings.collapsed);
+      toggle.textContent = settings.collapsed ? '▸' : '▾';
+      toggle.title = settings.collapsed ? 'Expand' : 'Collapse';
+    }
+
+    toggle.addEventListener('click', () => {
+      commit({ collapsed: !settings.collapsed });
+      applyCollapsed();
+    });
+
+    // ----- Drag -----
+    function applyPosition() {
+      if (!settings.position) {
+        panel.style.left = '';
+        panel.style.top = '';
+        panel.style.right = '';
+        return;
+      }
+      panel.style.left = `${settings.position.left}px`;
+      panel.style.top = `${settings.position.top}px`;
+      panel.style.right = 'auto';
+    }
+
+    header.addEventListener('mousedown', (e) => {
+      if (e.button !== 0 || e.target === toggle) return;
+      e.preventDefault();
+      const rect = panel.getBoundingClientRect();
+      const dx = e.clientX - rect.left;
+      const dy = e.clientY - rect.top;
+      let position = null;
+
+      function onMove(ev) {
+        position = {
+          left: Math.max(0, Math.min(ev.clientX - dx, window.innerWidth - 40)),
+          top: Math.max(0, Math.min(ev.clientY - dy, window.innerHeight - 20)),
+        };
+        panel.style.left = `${position.left}px`;
+        panel.style.top = `${position.top}px`;
+        panel.style.right = 'auto';
+      }
+
+      function onUp() {
+        doc.removeEventListener('mousemove', onMove);
+        doc.removeEventListener('mouseup', onUp);
+        if (position) commit({ position });
+      }
+
+      doc.addEventListener('mousemove', onMove);
+      doc.addEventListener('mouseup', onUp);
+    });
+
+    // ----- Links -----
+    list.addEventListener('click', (e) => {
+      const a = e.target && e.target.closest ? e.target.closest(`a.${options.linkClass}`) : null;
+      if (!a) return;
+      e.preventDefault();
+      const id = a.getAttribute('data-id');
+      const idxAttr = a.getAttribute('data-index');
+      const idx =
+        idxAttr != null && idxAttr !== '' && !Number.isNaN(Number(idxAttr))
+          ? Number(idxAttr)
+          : undefined;
+      if (options.onJump) options.onJump(id, idx);
+    });
+
+    // ----- Rendering -----
+    function renderList() {
+      const labels = lastLabels;
+      const metricShort = labels.metricShort || 'DPS';
+      const unit = labels.unit || 'div';
+      const top = filterAndSortEntries(lastEntries, settings);
+
+      title.textContent = `Best ${metricShort}/${unit} (Top ${settings.topN})`;
+      minDpsLabel.firstChild.textContent = `Min ${metricShort} `;
+      maxPriceLabel.firstChild.textContent = `Max price (${unit}) `;
+
+      let html = '';
+      if (!top.length) {
+        html = lastEntries.length ? '<i>No listings match the filters</i>' : '<i>No evaluated listings yet</i>';
+      }
+
+      top.forEach((entry, i) => {
+        const ratioText = entry.ratio.toFixed(2);
+        const currentDpsText =
+          typeof entry.dps === 'number' && Number.isFinite(entry.dps)
+            ? entry.dps.toFixed(1)
+            : '?';
+        const recommendedDpsText = entry.displayDps.toFixed(1);
+        const runeText =
+          entry.recommendedRuneSummary && entry.runeSlotCount > 0
+            ? ` | Runes: ${entry.recommendedRuneSummary}${labels.formatRuneCost ? ` (+${labels.formatRuneCost(entry.runeCost)})` : ''}`
+            : '';
+        const safeIndex =
+          typeof entry.index === 'number' && Number.isFinite(entry.index)
+            ? entry.index
+            : '';
+
+        html += `#${i + 1}: <a class="${options.linkClass}" data-id="${escapeHtml(entry.id || '')}" data-index="${safeIndex}"><b>${ratioText}</b></a> (${currentDpsText}→${recommendedDpsText} ${escapeHtml(metricShort)} for ${escapeHtml(entry.priceText)}${escapeHtml(runeText)})<br>`;
+      });
+
+      if (html !== lastListHtml) {
+        list.innerHTML = html;
+        lastListHtml = html;
+      }
+    }
+
+    /**
+     * @param {Array<Object>} entries - Evaluated rows
+     * @param {{ metricShort?: string, unit?: string, formatRuneCost?: Function }} [labels]
+     */
+    function render(entries, labels = {}) {
+      lastEntries = entries || [];
+      lastLabels = labels;
+      syncCurrencyOptions(lastEntries);
+      renderList();
+    }
+
+    function addSection(element) {
+      sections.appendChild(element);
+      return element;
+    }
+
+    /**
+     * Replace all extra sections, e.g. to rebuild editors after settings changed elsewhere.
+     */
+    function setSections(elements) {
+      sections.textContent = '';
+      for (const element of elements) sections.appendChild(element);
+    }
+
+    /**
+     * Apply settings changed outside the panel (options page, another tab).
+     * Does not call onSettingsChange.
+     */
+    function setSettings(next) {
+      settings = sanitizePanelSettings(next);
+      topNInput.value = String(settings.topN);
+      sortSelect.value = settings.sortBy;
+      minDpsInput.value = settings.minDps == null ? '' : String(settings.minDps);
+      maxPriceInput.value = settings.maxPrice == null ? '' : String(settings.maxPrice);
+      slotsSelect.value = String(settings.runeSlots);
+      syncCurrencyOptions(lastEntries);
+      currencySelect.value = settings.currency;
+      applyCollapsed();
+      applyPosition();
+      renderList();
+    }
+
+    applyCollapsed();
+    applyPosition();
+
+    return {
+      element: panel,
+      render,
+      addSection,
+      setSections,
+      setSettings,
+      getSettings: () => ({ ...settings }),
+    };
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.dealPanel = {
+      DEFAULT_PANEL_SETTINGS,
+      SORT_COLUMNS,
+      sanitizePanelSettings,
+      filterAndSortEntries,
+      createDealPanel,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      DEFAULT_PANEL_SETTINGS,
+      SORT_COLUMNS,
+      sanitizePanelSettings,
+      filterAndSortEntries,
+      createDealPanel,
+    };
+  }
+})();
@@ -0,0 +1,187 @@
+/**
+ * Evaluator page: judges pasted item text (in-game Ctrl+C, a trade badge's 📋 or a trade
+ * message) with the same DPS and rune pipeline as the trade site badges, using the saved
+ * settings. Nothing is saved from this page.
+ */
+
+(function () {
+  'use strict';
+
+  const {
+    currency,
+    weaponDps,
+    runeOptions,
+    buildProfile,
+    itemText,
+    settings: settingsStore,
+  } = window.PoeValueEvaluator;
+
+  const form = document.getElementById('evaluator');
+  const result = document.getElementById('result');
+  const status = document.getElementById('status');
+
+  // Price notes as in game and in trade messages, e.g. "~price 50 exalted", "~b/o 2 div".
+  const PRICE_NOTE = /~(?:b\/o|price)\s+(\d+(?:\.\d+)?)\s+([a-z][a-z-]*)/i;
+
+  let settings = settingsStore.sanitizeSettings(null);
+
+  function showStatus(text, isError = false) {
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  }
+
+  function fillSelect(select, choices, value) {
+    const values = Array.from(select.options).map((option) => option.value);
+    if (values.join('|') !== choices.map(([v]) => v).join('|')) {
+      select.textContent = '';
+      for (const [v, text] of choices) {
+        const option = document.createElement('option');
+        option.value = v;
+        option.textContent = text;
+        select.appendChild(option);
+      }
+    }
+    if (value != null && choices.some(([v]) => v === value)) select.value = value;
+  }
+
+  function fill() {
+    const els = form.elements;
+    fillSelect(
+      els.metric,
+      Object.entries(weaponDps.DPS_METRICS).map(([id, m]) => [id, m.label]),
+      els.metric.value || (weaponDps.DPS_METRICS[settings.metric] ? settings.metric : 'dps')
+    );
+    fillSelect(
+      els.priceCurrency,
+      Object.keys(settings.exchangeRates).map((key) => [key, currency.formatCurrency(key, settings.currencyShort)]),
+      els.priceCurrency.value || currency.BASE_CURRENCY
+    );
+  }
+
+  /**
+   * Fill an empty price from a "~price" note in the pasted text.
+   */
+  function takePriceNote(text) {
+    const els = form.elements;
+    const m = text.match(PRICE_NOTE);
+    if (!m || els.priceAmount.value !== '') return;
+    els.priceAmount.value = m[1];
+    const key = currency.normalizeCurrency(m[2]);
+    if (settings.exchangeRates[key]) els.priceCurrency.value = key;
+  }
+
+  function readPrice() {
+    const els = form.elements;
+    if (els.priceAmount.value === '') return null;
+    const amount = Number(els.priceAmount.value);
+    if (!(amount > 0)) return null;
+    const key = els.priceCurrency.value;
+    return { amount, currency: key, inDivine: currency.toBaseCurrency(amount, key, settings.exchangeRates) };
+  }
+
+  function formatPrice(amount, key, digits) {
+    return currency.formatPrice(amount, key, digits, settings.currencyShort);
+  }
+
+  function describeEvaluation(evaluation, metric, catalogue, price) {
+    const { parsed, current, breakdown, best } = evaluation;
+    const b = parsed.base;
+    const div = currency.formatCurrency(currency.BASE_CURRENCY, settings.currencyShort);
+
+    const lines = [
+      `${[parsed.name, parsed.typeLine].filter(Boolean).join(', ')}${parsed.itemClass ? ` (${parsed.itemClass})` : ''}`,
+      `Base: ${b.basePhysMin.toFixed(1)}–${b.basePhysMax.toFixed(1)} physical, ${b.baseAps.toFixed(2)} APS, ${(b.baseCritChance ?? 0).toFixed(2)}% crit`,
+      `DPS: ${current.totalDps.toFixed(1)} · effective ${current.effectiveDps.toFixed(1)} · crit-weighted ${current.totalDpsWithCrit.toFixed(1)}`,
+    ];
+    if (settings.buildProfile) {
+      lines.push(`DPS in your build (${settings.buildProfile.name}): ${current.buildDps.toFixed(1)}`);
+    }
+    if (price && typeof evaluation.ratio === 'number') {
+      lines.push(
+        `${metric.short} per ${div}: ${evaluation.ratio.toFixed(2)} for ${formatPrice(price.amount, price.currency)}${price.currency === currency.BASE_CURRENCY ? '' : ` ≈ ${formatPrice(price.inDivine, currency.BASE_CURRENCY, 2)}`}`
+      );
+    } else if (price) {
+      lines.push(`No exchange rate for ${price.currency}: set one in the options`);
+    }
+
+    lines.push('', ...weaponDps.describeDpsBreakdown(breakdown, metric.short));
+
+    if (best) {
+      lines.push(
+        '',
+        `Best runes (${parsed.runeSlotCount} slots): ${runeOptions.formatRuneConfiguration(best.configuration, catalogue) || 'none'}`,
+        `  ${metric.short}: ${best.dps.toFixed(1)}, runes ${formatPrice(best.cost, currency.BASE_CURRENCY, 2)}${typeof evaluation.bestRatio === 'number' ? ` → ${evaluation.bestRatio.toFixed(2)}/${div} incl. runes` : ''}`
+      );
+    } else {
+      lines.push('', 'No rune sockets');
+    }
+
+    const { affixes } = parsed;
+    lines.push(
+      '',
+      `${affixes.corrupted ? 'Corrupted, ' : ''}open affixes: ${affixes.openPrefixes} prefix / ${affixes.openSuffixes} suffix`
+    );
+    return lines;
+  }
+
+  function render() {
+    const text = form.elements.itemText.value;
+    if (!text.trim()) {
+      result.textContent = '';
+      showStatus('');
+      return;
+    }
+
+    const metricId = form.elements.metric.value;
+    const catalogue = settingsStore.resolveRuneCatalogue(settings);
+    const price = readPrice();
+    const evaluation = itemText.evaluateItemText(text, {
+      metricId,
+      catalogue,
+      costOf: (rune) =>
+        rune && rune.cost
+          ? currency.toBaseCurrency(rune.cost.amount, rune.cost.currency, settings.exchangeRates)
+          : null,
+      skillLevelDamagePct: settings.skillLevelDamagePct,
+      build: settings.buildProfile ? buildProfile.toBuildModifiers(settings.buildProfile) : null,
+      priceInDivine: price ? price.inDivine : null,
+    });
+    if (!evaluation) {
+      result.textContent = '';
+      showStatus('Not a weapon: the text needs "Attacks per Second" and a damage line', true);
+      return;
+    }
+
+    showStatus('');
+    result.textContent = describeEvaluation(
+      evaluation, weaponDps.DPS_METRICS[metricId], catalogue, price
+    ).join('\n');
+  }
+
+  form.addEventListener('submit', (e) => e.preventDefault());
+
+  form.addEventListener('input', (e) => {
+    if (e.target.name === 'itemText') takePriceNote(e.target.value);
+    render();
+  });
+
+  form.addEventListener('change', render);
+
+  settingsStore.onSettingsChanged((next) => {
+    settings = next;
+    fill();
+    render();
+  });
+
+  settingsStore
+    .loadSettings()
+    .catch((err) => {
+      console.warn('poe2deal: could not load settings, using defaults', err);
+      return settingsStore.sanitizeSettings(null);
+    })
+    .then((loaded) => {
+      settings = loaded;
+      fill();
+      render();
+    });
+})();
@@ -0,0 +1,406 @@
+/**
+ * Item text: the game's Ctrl+C item format, e.g.
+ *
+ *   Item Class: Bows
+ *   Rarity: Rare
+ *   Storm Thirst
+ *   Obliterator Bow
+ *   --------
+ *   Quality: +20% (augmented)
+ *   Physical Damage: 289-521 (augmented)
+ *   Critical Hit Chance: 9.19% (augmented)
+ *   Attacks per Second: 1.15
+ *   --------
+ *   Sockets: S S
+ *   --------
+ *   18% increased Physical Damage (rune)
+ *   --------
+ *   162% increased Physical Damage
+ *
+ * serializeItemText writes a parsed weapon row in this format (to paste into build planners);
+ * parseItemText reads it back into the parseWeaponRow shape, so a pasted item goes through
+ * the same DPS and rune pipeline as a listing.
+ *
+ * Mod parsing is weapon-parser.js's, which must load first.
+ */
+
+(function () {
+  'use strict';
+
+  const SEPARATOR = '--------';
+
+  /**
+   * "Item Class:" names by item class (see weapon-parser.js inferItemClass).
+   */
+  const ITEM_CLASS_NAMES = {
+    Crossbow: 'Crossbows',
+    Bow: 'Bows',
+    Quarterstaff: 'Quarterstaves',
+    Staff: 'Staves',
+    Spear: 'Spears',
+    'Two Hand Mace': 'Two Hand Maces',
+    'One Hand Mace': 'One Hand Maces',
+    Flail: 'Flails',
+    'One Hand Sword': 'One Hand Swords',
+    'Two Hand Sword': 'Two Hand Swords',
+    'One Hand Axe': 'One Hand Axes',
+    'Two Hand Axe': 'Two Hand Axes',
+    Dagger: 'Daggers',
+    Claw: 'Claws',
+    Wand: 'Wands',
+    Sceptre: 'Sceptres',
+    Focus: 'Foci',
+  };
+
+  /**
+   * Damage property lines: label, FinalWeaponStats key prefix and the mods that change it
+   * (a changed property is marked "(augmented)").
+   */
+  const DAMAGE_PROPERTIES = [
+    ['Physical', 'phys', ['quality', 'increasedPhys', 'flatPhysMax']],
+    ['Fire', 'fire', ['flatFireMax']],
+    ['Cold', 'cold', ['flatColdMax']],
+    ['Lightning', 'lightning', ['flatLightningMax']],
+    ['Chaos', 'chaos', ['flatChaosMax']],
+  ];
+
+  /**
+   * Mod sections in game order; explicit-like sources (and unknown ones) go last.
+   * Lines other than explicits carry their source, e.g. "… (rune)".
+   */
+  const MOD_SECTIONS = [['enchant'], ['rune'], ['implicit']];
+  const MOD_SOURCE_SUFFIX = /\s+\((enchant|rune|implicit|fractured|desecrated)\)$/i;
+
+  const PROPERTY_LINE = /^([A-Za-z][A-Za-z ]*):\s*(.*)$/;
+
+  /**
+   * Elements of a combined "Elemental Damage:" line, in the order the game lists them.
+   */
+  const ELEMENT_KEYS = ['fire', 'cold', 'lightning'];
+
+  /**
+   * Read a combined elemental damage property, e.g. "10-20 (augmented), 2-40 (augmented)"
+   * or "10-20 (fire), 2-40 (lightning)". When a range does not name its element, it takes
+   * the element whose "Adds X to Y <Element> Damage" mods sum to that range, else another
+   * element the mods add, and only without such mods the next one in ELEMENT_KEYS order.
+   *
+   * @param {string|undefined} value
+   * @param {Object} mods - Summed mod lines (flatFireMin, flatFireMax, …)
+   * @returns {Array<[string, { min: number, max: number }]>} FinalWeaponStats key prefix and range
+   */
+  function parseElementalDamageLine(value, mods) {
+    if (!value) return [];
+    const parts = value
+      .split(',')
+      .map((part) => ({
+        range: weaponParser().parseRange(part),
+        element: (part.match(/\((fire|cold|lightning)\)/i) || [])[1]?.toLowerCase() ?? null,
+      }))
+      .filter((part) => part.range.min != null && part.range.max != null);
+
+    const flat = (key, bound) => mods[`flat${key[0].toUpperCase()}${key.slice(1)}${bound}`] ?? 0;
+    const added = ELEMENT_KEYS.filter((key) => flat(key, 'Max') > 0);
+    const used = new Set(parts.map((part) => part.element).filter(Boolean));
+    const take = (key) => {
+      if (key) used.add(key);
+      return key;
+    };
+
+    // Exact matches first, so a guess for one range cannot take another range's element.
+    for (const part of parts) {
+      if (part.element) continue;
+      part.element = take(added.find(
+        (key) => !used.has(key) && flat(key, 'Min') === part.range.min && flat(key, 'Max') === part.range.max
+      ));
+    }
+    for (const part of parts) {
+      if (part.element) continue;
+      part.element = take(
+        added.find((key) => !used.has(key)) || ELEMENT_KEYS.find((key) => !used.has(key))
+      );
+    }
+    return parts.filter((part) => part.element).map((part) => [part.element, part.range]);
+  }
+
+  function weaponParser() {
+    return window.PoeValueEvaluator.weaponParser;
+  }
+
+  function formatNumber(n) {
+    return String(Number(n.toFixed(2)));
+  }
+
+  function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  function augmented(mods, keys) {
+    return keys.some((k) => mods[k]) ? ' (augmented)' : '';
+  }
+
+  function modSection(source) {
+    const i = MOD_SECTIONS.findIndex((sources) => sources.includes(source));
+    return i === -1 ? MOD_SECTIONS.length : i;
+  }
+
+  /**
+   * Write a parsed weapon in the game's item text format.
+   *
+   * @param {Object} item - parseWeaponRow result (final, mods, modLines, name, typeLine, ...)
+   * @returns {string}
+   */
+  function serializeItemText(item) {
+    const { final, mods = {}, affixes } = item;
+    const sections = [];
+
+    const header = [];
+    if (item.itemClass) header.push(`Item Class: ${ITEM_CLASS_NAMES[item.itemClass] || item.itemClass}`);
+    if (affixes && affixes.rarity) header.push(`Rarity: ${capitalize(affixes.rarity)}`);
+    if (item.name) header.push(item.name);
+    if (item.typeLine) header.push(item.typeLine);
+    sections.push(header);
+
+    const properties = [];
+    if (mods.quality) properties.push(`Quality: +${formatNumber(mods.quality)}% (augmented)`);
+    for (const [label, key, modKeys] of DAMAGE_PROPERTIES) {
+      const min = final[`${key}Min`] ?? 0;
+      const max = final[`${key}Max`] ?? 0;
+      if (!min && !max) continue;
+      properties.push(`${label} Damage: ${formatNumber(min)}-${formatNumber(max)}${augmented(mods, modKeys)}`);
+    }
+    if (typeof final.critChance === 'number') {
+      properties.push(
+        `Critical Hit Chance: ${final.critChance.toFixed(2)}%${augmented(mods, ['flatCritChance'])}`
+      );
+    }
+    properties.push(
+      `Attacks per Second: ${final.aps.toFixed(2)}${augmented(mods, ['increasedAttackSpeed'])}`
+    );
+    sections.push(properties);
+
+    if (item.runeSlotCount > 0) {
+      sections.push([`Sockets: ${Array(item.runeSlotCount).fill('S').join(' ')}`]);
+    }
+
+    const modSections = [];
+    for (const { source, text } of item.modLines || []) {
+      const i = modSection(source);
+      modSections[i] = modSections[i] || [];
+      modSections[i].push(source === 'explicit' ? text : `${text} (${source})`);
+    }
+    sections.push(...modSections.filter(Boolean));
+
+    if (affixes && affixes.corrupted) sections.push(['Corrupted']);
+    return sections.map((lines) => lines.join('\n')).join(`\n${SEPARATOR}\n`);
+  }
+
+  function sumModLines(lines) {
+    const mods = weaponParser().emptyModifiers();
+    for (const { text } of lines) {
+      for (const [k, v] of Object.entries(weaponParser().parseModText(text))) {
+        if (typeof v === 'number' && mods[k] !== undefined) mods[k] += v;
+      }
+    }
+    return mods;
+  }
+
+  /**
+   * Read item text (copied in game, from the trade site or from serializeItemText).
+   * Unknown properties (requirements, item level, …) are skipped; lines that are not
+   * properties are mods, explicit unless they end in a source like "(rune)". Elemental
+   * damage is read from per-element lines or from one combined "Elemental Damage:" line.
+   *
+   * @param {string} text
+   * @returns {{ final: object, mods: object, runeMods: object, modLines: Array<object>,
+   *   modSources: Array<object>, runeSlotCount: number, name: string|null, typeLine: string|null,
+   *   itemClass: string|null, affixes: object } | null} null when the text is not a weapon
+   */
+  function parseItemText(text) {
+    const wp = weaponParser();
+    const sections = String(text ?? '')
+      .split(/\r?\n\s*-{4,}\s*(?:\r?\n|$)/)
+      .map((section) => section.split(/\r?\n/).map((line) => line.trim()).filter(Boolean))
+      .filter((lines) => lines.length);
+    if (!sections.length) return null;
+
+    const properties = {};
+    const headerLines = [];
+    for (const line of sections[0]) {
+      const m = line.match(PROPERTY_LINE);
+      if (m) properties[m[1].toLowerCase()] = m[2];
+      else headerLines.push(line);
+    }
+
+    const modLines = [];
+    let corrupted = false;
+    for (const line of sections.slice(1).flat()) {
+      if (/^Corrupted$/i.test(line)) {
+        corrupted = true;
+        continue;
+      }
+      const property = line.match(PROPERTY_LINE);
+      if (property) {
+        const key = property[1].toLowerCase();
+        // The elemental line keeps its "(fire)"-style tags for parseElementalDamageLine.
+        properties[key] =
+          key === 'elemental damage' ? property[2] : property[2].replace(/\s*\([^)]*\)/g, '').trim();
+        continue;
+      }
+      const source = line.match(MOD_SOURCE_SUFFIX);
+      modLines.push(
+        source
+          ? { source: source[1].toLowerCase(), text: line.slice(0, source.index) }
+          : { source: 'explicit', text: line }
+      );
+    }
+
+    const aps = wp.parseNum(properties['attacks per second']);
+    if (aps == null) return null;
+    const final = { aps };
+    let hasDamage = false;
+    for (const [label, key] of DAMAGE_PROPERTIES) {
+      const value = properties[`${label.toLowerCase()} damage`];
+      const range = value ? wp.parseRange(value) : { min: null, max: null };
+      const found = range.min != null && range.max != null;
+      final[`${key}Min`] = found ? range.min : 0;
+      final[`${key}Max`] = found ? range.max : 0;
+      hasDamage = hasDamage || found;
+    }
+    const modTotals = sumModLines(modLines);
+    for (const [key, range] of parseElementalDamageLine(properties['elemental damage'], modTotals)) {
+      if (final[`${key}Max`]) continue;
+      final[`${key}Min`] = range.min;
+      final[`${key}Max`] = range.max;
+      hasDamage = true;
+    }
+    if (!hasDamage) return null;
+    const critChance = wp.parseNum(properties['critical hit chance']);
+    if (critChance != null) final.critChance = critChance;
+
+    const mods = { ...modTotals, quality: wp.parseNum(properties.quality) ?? 0 };
+    const runeMods = sumModLines(modLines.filter((line) => line.source === 'rune'));
+    const sockets = properties.sockets ? properties.sockets.split(/[\s-]+/).filter(Boolean).length : 0;
+
+    const name = headerLines.length > 1 ? headerLines[0] : null;
+    const typeLine = headerLines.length ? headerLines[headerLines.length - 1] : null;
+    const classText = properties['item class'];
+    const itemClass =
+      Object.keys(ITEM_CLASS_NAMES).find((id) => ITEM_CLASS_NAMES[id] === classText) ||
+      wp.inferItemClass(typeLine);
+    const rarity = properties.rarity ? properties.rarity.toLowerCase() : null;
+
+    return {
+      final,
+      mods,
+      runeMods,
+      modLines,
+      modSources: wp.parseModifierSources(modLines),
+      runeSlotCount: sockets,
+      name,
+      typeLine,
+      itemClass,
+      affixes: wp.countAffixes(modLines, rarity, corrupted),
+    };
+  }
+
+  /**
+   * Parse item text and reverse-engineer base stats, like weapon-parser's
+   * parseAndReverseEngineer does for a row. Requires weapon-dps.js to be loaded first.
+   *
+   * @param {string} text
+   */
+  function parseAndReverseEngineerItemText(text) {
+    const parsed = parseItemText(text);
+    if (!parsed) return null;
+    const wd = typeof window !== 'undefined' && window.PoeValueEvaluator?.weaponDps;
+    if (!wd) return parsed;
+    const base = wd.reverseEngineerBase(parsed.final, parsed.mods);
+    return { ...parsed, base };
+  }
+
+  /**
+   * Evaluate pasted item text like a listing: current DPS, its per-source breakdown and the
+   * best rune mix, plus DPS per divine when an asking price is given.
+   * Requires weapon-dps.js and rune-options.js to be loaded first.
+   *
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string} [options.metricId='dps'] - Key of weapon-dps.js DPS_METRICS
+   * @param {Array<Object>} [options.catalogue] - Rune catalogue; defaults to RUNE_OPTIONS
+   * @param {Function} [options.costOf] - (rune) => cost in divine, or null
+   * @param {number} [options.skillLevelDamagePct=0]
+   * @param {Object|null} [options.build=null] - build-profile.js toBuildModifiers result
+   * @param {number|null} [options.priceInDivine=null] - Asking price
+   * @returns {{ parsed: object, current: object, dps: number, breakdown: object,
+   *   best: { configuration: object, dps: number, cost: number }|null, ratio: number|null,
+   *   bestRatio: number|null } | null} null when the text is not a weapon
+   */
+  function evaluateItemText(text, options = {}) {
+    const { weaponDps, runeOptions } = window.PoeValueEvaluator;
+    const parsed = parseAndReverseEngineerItemText(text);
+    if (!parsed || !parsed.base) return null;
+
+    const metricId = options.metricId || 'dps';
+    const score = (result) => weaponDps.getMetricValue(result, metricId);
+    const context = { skillLevelDamagePct: options.skillLevelDamagePct ?? 0, build: options.build ?? null };
+    const mods = { ...parsed.mods, ...context };
+
+    const current = weaponDps.calcWeaponDps(weaponDps.buildWeaponInputs(parsed.base, mods));
+    const breakdown = weaponDps.attributeDps(
+      parsed.base,
+      weaponDps.collectDpsSources(parsed, mods),
+      { score, context }
+    );
+
+    const catalogue = options.catalogue || runeOptions.RUNE_OPTIONS;
+    const variant = runeOptions.computeBestRuneVariant(
+      parsed.base, mods, parsed.runeMods, parsed.runeSlotCount, weaponDps.calcWeaponDps,
+      { score, catalogue, itemClass: parsed.itemClass }
+    );
+    const best = variant
+      ? {
+        configuration: variant.rune.configuration,
+        dps: variant.dps,
+        cost: runeOptions.configurationCost(
+          variant.rune.configuration,
+          new Map(catalogue.map((rune) => [rune.id, rune])),
+          options.costOf || (() => null)
+        ),
+      }
+      : null;
+
+    const price = options.priceInDivine;
+    const priced = typeof price === 'number' && price > 0;
+    const dps = score(current);
+    return {
+      parsed,
+      current,
+      dps,
+      breakdown,
+      best,
+      ratio: priced ? dps / price : null,
+      bestRatio: priced && best ? best.dps / (price + best.cost) : null,
+    };
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.itemText = {
+      ITEM_CLASS_NAMES,
+      serializeItemText,
+      parseItemText,
+      parseAndReverseEngineerItemText,
+      evaluateItemText,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      ITEM_CLASS_NAMES,
+      serializeItemText,
+      parseItemText,
+      parseAndReverseEngineerItemText,
+      evaluateItemText,
+    };
+  }
+})();
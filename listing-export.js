@@ -0,0 +1,133 @@
+/**
+ * Export of evaluated listings as CSV or JSON, to analyse searches in a spreadsheet
+ * (e.g. price-per-DPS curves).
+ *
+ * Records are plain objects (see content.js createExportRecord). In CSV, nested objects
+ * become dotted columns ("stats.physMin") and lists are joined with " | "; columns are
+ * the union over all records, in first-seen order.
+ */
+
+(function () {
+  'use strict';
+
+  const LIST_SEPARATOR = ' | ';
+
+  /**
+   * @param {Object} record
+   * @returns {Object<string, *>} Dotted keys to scalar values
+   */
+  function flattenRecord(record, prefix = '', out = {}) {
+    for (const [k, v] of Object.entries(record)) {
+      const key = prefix ? `${prefix}.${k}` : k;
+      if (Array.isArray(v)) out[key] = v.join(LIST_SEPARATOR);
+      else if (v && typeof v === 'object') flattenRecord(v, key, out);
+      else out[key] = v;
+    }
+    return out;
+  }
+
+  // Spreadsheets read text starting with these as a formula ("+3 to Level of …" → #NAME?).
+  const FORMULA_START = /^[=+\-@\t\r]/;
+
+  function csvCell(value) {
+    if (value == null) return '';
+    // Reverse-engineered values carry float noise (465.74999…); 4 decimals is plenty.
+    let text = typeof value === 'number' ? String(Number(value.toFixed(4))) : String(value);
+    if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * @param {Object[]} records
+   * @returns {string} CSV with a header row and CRLF line ends
+   */
+  function toCsv(records) {
+    const rows = records.map((record) => flattenRecord(record));
+    const columns = [];
+    const seen = new Set();
+    for (const row of rows) {
+      for (const key of Object.keys(row)) {
+        if (!seen.has(key)) {
+          seen.add(key);
+          columns.push(key);
+        }
+      }
+    }
+    const lines = [columns.map(csvCell).join(',')];
+    for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(','));
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * @param {Object[]} records
+   * @param {Object} [meta] - Export-wide fields, e.g. { exportedAt, currency }
+   * @returns {string}
+   */
+  function toJson(records, meta = {}) {
+    return JSON.stringify({ ...meta, listings: records }, null, 2);
+  }
+
+  const EXPORT_FORMATS = {
+    // The BOM makes spreadsheet apps read the file as UTF-8.
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8', bom: true, serialize: toCsv },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json', bom: false, serialize: toJson },
+  };
+
+  /**
+   * e.g. "poe2deal-listings-2025-01-31-1405.csv"
+   *
+   * @param {string} extension
+   * @param {Date} [date=new Date()]
+   */
+  function exportFilename(extension, date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    return `poe2deal-listings-${day}-${pad(date.getHours())}${pad(date.getMinutes())}.${extension}`;
+  }
+
+  /**
+   * Save text as a file through a temporary download link.
+   *
+   * @param {Document} doc
+   * @param {string} format - Key of EXPORT_FORMATS
+   * @param {string} text
+   */
+  function downloadExport(doc, format, text) {
+    const spec = EXPORT_FORMATS[format];
+    const view = doc.defaultView || window;
+    const blob = new view.Blob([spec.bom ? `\ufeff${text}` : text], { type: spec.mimeType });
+    const url = view.URL.createObjectURL(blob);
+
+    const link = doc.createElement('a');
+    link.href = url;
+    link.download = exportFilename(spec.extension);
+    link.style.display = 'none';
+    doc.documentElement.appendChild(link);
+    link.click();
+    link.remove();
+    view.setTimeout(() => view.URL.revokeObjectURL(url), 0);
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.listingExport = {
+      EXPORT_FORMATS,
+      flattenRecord,
+      toCsv,
+      toJson,
+      exportFilename,
+      downloadExport,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      EXPORT_FORMATS,
+      flattenRecord,
+      toCsv,
+      toJson,
+      exportFilename,
+      downloadExport,
+    };
+  }
+})();
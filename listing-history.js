@@ -0,0 +1,267 @@
+/**
+ * Listing history: remembers listings across page loads and searches.
+ *
+ * Listings are keyed by the trade row's data-id. Items with affixes are also keyed by a
+ * fingerprint (name, base type, mod lines), so the same item re-posted under a new id is
+ * recognised as a relist and keeps its first-seen time and price history. Items without
+ * affixes are not fingerprinted: one white base cannot be told from another seller's.
+ *
+ * Pure data functions; content.js loads and saves the history object.
+ */
+
+(function () {
+  'use strict';
+
+  const HISTORY_STORAGE_KEY = 'poe2deal:history';
+
+  // Oldest listings are dropped beyond this, to keep storage bounded.
+  const MAX_LISTINGS = 3000;
+  // Price history kept per listing.
+  const MAX_PRICES = 10;
+  // Changes smaller than this are treated as rounding noise (e.g. a rate update).
+  const MIN_PRICE_CHANGE_PCT = 1;
+
+  /**
+   * @typedef {Object} PricePoint
+   * @property {number} amount
+   * @property {string} currency
+   * @property {number|null} normalized - Divine at the time it was seen
+   * @property {number} at - Timestamp (ms)
+   */
+
+  /**
+   * @typedef {Object} ListingRecord
+   * @property {string|null} fingerprint
+   * @property {number} firstSeen
+   * @property {number} lastSeen
+   * @property {number} seen - Number of searches/page loads it appeared in
+   * @property {PricePoint[]} prices - Oldest first; only changes are recorded
+   * @property {boolean} [relisted] - Item was seen before under another listing id
+   */
+
+  /**
+   * @typedef {Object} History
+   * @property {Object<string, ListingRecord>} listings
+   * @property {Object<string, { ids: string[], firstSeen: number }>} items - By fingerprint
+   */
+
+  /**
+   * @typedef {Object} SightingStatus
+   * @property {boolean} isNew - Neither the listing nor the item was seen before
+   * @property {boolean} relisted - Item seen before under another listing id
+   * @property {number} seenCount - Sightings of the item across all its listings
+   * @property {number} firstSeen
+   * @property {{ from: PricePoint, to: PricePoint, pct: number }|null} priceChange - From the
+   *   first recorded price to the current one
+   */
+
+  // FNV-1a; short and stable, only used to keep storage keys compact.
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Fingerprint of an item's identity (not its price). Uses every mod line with its source
+   * (implicit, rune, explicit, …) when the parser provides them, else the affix text.
+   *
+   * @param {{ name: string|null, typeLine: string|null, affixes?: { prefixes: string[],
+   *   suffixes: string[] }|null, modLines?: Array<{ source: string, text: string }> }} parsed
+   *   - From parseWeaponRow
+   * @returns {string|null} null when the row has no header or no affixes to identify it by
+   */
+  function itemFingerprint(parsed) {
+    if (!parsed || (!parsed.name && !parsed.typeLine)) return null;
+    const affixes = parsed.affixes ? [...parsed.affixes.prefixes, ...parsed.affixes.suffixes] : [];
+    if (!affixes.length) return null;
+    const mods = parsed.modLines
+      ? parsed.modLines.map((line) => `${line.source}: ${line.text}`)
+      : affixes;
+    const parts = [parsed.name || '', parsed.typeLine || '', ...mods.map((m) => m.toLowerCase()).sort()];
+    return hashString(parts.join('\n'));
+  }
+
+  /**
+   * Validate a stored history object; anything unreadable starts a fresh history.
+   *
+   * @returns {History}
+   */
+  function sanitizeHistory(raw) {
+    const history = { listings: {}, items: {} };
+    if (!raw || typeof raw !== 'object') return history;
+    if (raw.listings && typeof raw.listings === 'object') {
+      for (const [id, record] of Object.entries(raw.listings)) {
+        if (record && Number.isFinite(record.firstSeen) && Array.isArray(record.prices)) {
+          history.listings[id] = record;
+        }
+      }
+    }
+    if (raw.items && typeof raw.items === 'object') {
+      for (const [fingerprint, item] of Object.entries(raw.items)) {
+        if (item && Array.isArray(item.ids) && Number.isFinite(item.firstSeen)) {
+          history.items[fingerprint] = item;
+        }
+      }
+    }
+    return history;
+  }
+
+  function lastPrice(record) {
+    return record && record.prices.length ? record.prices[record.prices.length - 1] : null;
+  }
+
+  function firstPrice(record) {
+    return record && record.prices.length ? record.prices[0] : null;
+  }
+
+  /**
+   * Relative change from one price to another. Same-currency prices compare directly;
+   * otherwise the divine values recorded at each sighting are used.
+   *
+   * @returns {number|null} Percent, negative for a drop
+   */
+  function priceChangePct(from, to) {
+    if (!from || !to) return null;
+    if (from.currency === to.currency && from.amount > 0) {
+      return ((to.amount - from.amount) / from.amount) * 100;
+    }
+    if (from.normalized > 0 && typeof to.normalized === 'number') {
+      return ((to.normalized - from.normalized) / from.normalized) * 100;
+    }
+    return null;
+  }
+
+  /**
+   * Record that a listing was seen, and report what is known about it.
+   * Call once per listing per search; mutates `history`.
+   *
+   * @param {History} history
+   * @param {{ id: string, fingerprint: string|null, price: { amount: number, currency: string,
+   *   normalizedAmount?: number|null }, now?: number }} sighting
+   * @returns {SightingStatus}
+   */
+  function recordSighting(history, sighting) {
+    const now = sighting.now ?? Date.now();
+    const { id, fingerprint } = sighting;
+    const item = fingerprint ? history.items[fingerprint] : null;
+    let record = history.listings[id];
+
+    // Previous listing of the same item, for relists.
+    let previous = record;
+    if (!previous && item) {
+      for (const otherId of item.ids) {
+        const other = history.listings[otherId];
+        if (other && (!previous || other.lastSeen > previous.lastSeen)) previous = other;
+      }
+    }
+
+    const isNew = !record && !item;
+
+    const price = {
+      amount: sighting.price.amount,
+      currency: sighting.price.currency,
+      normalized: sighting.price.normalizedAmount ?? null,
+      at: now,
+    };
+    if (!record) {
+      record = { fingerprint, firstSeen: now, lastSeen: now, seen: 0, prices: [], relisted: !!item };
+      history.listings[id] = record;
+      // Relist: carry the old listing's prices over so drops stay visible.
+      if (previous) record.prices.push(...previous.prices);
+    }
+    record.seen += 1;
+    record.lastSeen = now;
+
+    const lastPct = priceChangePct(lastPrice(record), price);
+    if (!record.prices.length || (lastPct != null && Math.abs(lastPct) >= MIN_PRICE_CHANGE_PCT)) {
+      record.prices.push(price);
+    }
+    record.prices = record.prices.slice(-MAX_PRICES);
+
+    // Against the first price, so a drop stays marked on later page loads.
+    const from = firstPrice(record);
+    const pct = priceChangePct(from, price);
+    const changed = pct != null && Math.abs(pct) >= MIN_PRICE_CHANGE_PCT;
+
+    let itemEntry = item;
+    if (fingerprint) {
+      itemEntry = item || { ids: [], firstSeen: now };
+      if (!itemEntry.ids.includes(id)) itemEntry.ids.push(id);
+      history.items[fingerprint] = itemEntry;
+    }
+
+    const seenCount = itemEntry
+      ? itemEntry.ids.reduce((sum, otherId) => sum + (history.listings[otherId]?.seen ?? 0), 0)
+      : record.seen;
+
+    return {
+      isNew,
+      relisted: !!record.relisted,
+      seenCount,
+      firstSeen: itemEntry ? itemEntry.firstSeen : record.firstSeen,
+      priceChange: changed ? { from, to: price, pct } : null,
+    };
+  }
+
+  /**
+   * Drop the least recently seen listings beyond `max`, and items left without listings.
+   */
+  function pruneHistory(history, max = MAX_LISTINGS) {
+    const ids = Object.keys(history.listings);
+    if (ids.length <= max) return history;
+
+    ids.sort((a, b) => history.listings[b].lastSeen - history.listings[a].lastSeen);
+    for (const id of ids.slice(max)) delete history.listings[id];
+
+    for (const [fingerprint, item] of Object.entries(history.items)) {
+      item.ids = item.ids.filter((id) => history.listings[id]);
+      if (!item.ids.length) delete history.items[fingerprint];
+    }
+    return history;
+  }
+
+  /**
+   * Short badge markers, e.g. ["new"] or ["price dropped 20%", "seen 3 times"].
+   *
+   * @param {SightingStatus|null} status
+   * @returns {string[]}
+   */
+  function describeSighting(status) {
+    if (!status) return [];
+    const markers = [];
+    if (status.isNew) markers.push('new');
+    if (status.relisted) markers.push('relisted');
+    if (status.priceChange && status.priceChange.pct < 0) {
+      markers.push(`price dropped ${Math.round(-status.priceChange.pct)}%`);
+    }
+    if (status.seenCount > 1) markers.push(`seen ${status.seenCount} times`);
+    return markers;
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.listingHistory = {
+      HISTORY_STORAGE_KEY,
+      itemFingerprint,
+      sanitizeHistory,
+      recordSighting,
+      pruneHistory,
+      describeSighting,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      HISTORY_STORAGE_KEY,
+      itemFingerprint,
+      sanitizeHistory,
+      recordSighting,
+      pruneHistory,
+      describeSighting,
+    };
+  }
+})();
@@ -0,0 +1,326 @@
+/**
+ * Options page: edits the settings in settings.js. Every change is saved at once;
+ * open trade tabs pick it up through onSettingsChanged.
+ */
+
+(function () {
+  'use strict';
+
+  const { currency, runeOptions, spellWeapon, buildProfile, dealPanel, settings: settingsStore } =
+    window.PoeValueEvaluator;
+
+  const form = document.getElementById('options');
+  const currencyRows = document.getElementById('currencies');
+  const spellWeightList = document.getElementById('spell-weights');
+  const buildCurrent = document.getElementById('build-current');
+  const status = document.getElementById('status');
+
+  let settings = settingsStore.sanitizeSettings(null);
+
+  function showStatus(text, isError = false) {
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  }
+
+  async function save(patch) {
+    try {
+      settings = await settingsStore.saveSettings(patch);
+      fill();
+      showStatus('Saved');
+    } catch (err) {
+      showStatus(`Could not save: ${err.message}`, true);
+    }
+  }
+
+  function fillSelect(select, choices, value) {
+    if (!select.options.length) {
+      for (const [v, text] of choices) {
+        const option = document.createElement('option');
+        option.value = v;
+        option.textContent = text;
+        select.appendChild(option);
+      }
+    }
+    select.value = value;
+  }
+
+  /**
+   * Rebuild the table only when the set of currencies changed, so tabbing between
+   * inputs (each change saves) keeps focus.
+   */
+  function renderCurrencies() {
+    const keys = Object.keys(settings.exchangeRates);
+    const shown = Array.from(currencyRows.querySelectorAll('input[data-rate]')).map(
+      (input) => input.dataset.rate
+    );
+    if (keys.join('|') === shown.join('|')) {
+      for (const input of currencyRows.querySelectorAll('input')) {
+        if (input === document.activeElement) continue;
+        input.value = input.dataset.rate
+          ? String(settings.exchangeRates[input.dataset.rate])
+          : currency.formatCurrency(input.dataset.short, settings.currencyShort);
+      }
+      return;
+    }
+
+    currencyRows.textContent = '';
+    for (const [key, rate] of Object.entries(settings.exchangeRates)) {
+      const row = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = key;
+
+      const shortCell = document.createElement('td');
+      const shortInput = document.createElement('input');
+      shortInput.type = 'text';
+      shortInput.size = 8;
+      shortInput.dataset.short = key;
+      shortInput.value = currency.formatCurrency(key, settings.currencyShort);
+      shortCell.appendChild(shortInput);
+
+      const rateCell = document.createElement('td');
+      const rateInput = document.createElement('input');
+      rateInput.type = 'number';
+      rateInput.min = '0';
+      rateInput.step = 'any';
+      rateInput.dataset.rate = key;
+      rateInput.value = String(rate);
+      rateInput.disabled = key === currency.BASE_CURRENCY;
+      rateCell.appendChild(rateInput);
+
+      row.append(name, shortCell, rateCell);
+      currencyRows.appendChild(row);
+    }
+  }
+
+  /**
+   * One number input per scored spell stat; the set is fixed, so they are built once.
+   */
+  function renderSpellWeights() {
+    if (!spellWeightList.children.length) {
+      for (const id of Object.keys(spellWeapon.SPELL_STATS)) {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = 'any';
+        input.dataset.spellWeight = id;
+        label.append(input, ` points per ${spellWeapon.formatSpellStat(id, 1)}`);
+        spellWeightList.appendChild(label);
+      }
+    }
+    for (const input of spellWeightList.querySelectorAll('input')) {
+      if (input !== document.activeElement) {
+        input.value = String(settings.spellWeights[input.dataset.spellWeight]);
+      }
+    }
+  }
+
+  function readSpellWeights() {
+    const weights = {};
+    for (const input of spellWeightList.querySelectorAll('input')) {
+      weights[input.dataset.spellWeight] = input.value;
+    }
+    return weights;
+  }
+
+  /**
+   * Write the current settings into the form (the rune textarea only when it is not being edited).
+   */
+  function fill() {
+    fillSelect(
+      form.elements.metric,
+      Object.entries(settingsStore.RANKING_METRICS).map(([id, m]) => [id, m.label]),
+      settings.metric
+    );
+    form.elements.runeTolerancePct.value = String(settings.runeTolerancePct);
+    form.elements.qualityCap.value = settings.qualityCap ?? '';
+    form.elements.skillLevelDamagePct.value = String(settings.skillLevelDamagePct);
+
+    renderSpellWeights();
+    renderCurrencies();
+
+    buildCurrent.textContent = settings.buildProfile
+      ? `Current profile: ${buildProfile.describeBuildProfile(settings.buildProfile)}`
+      : 'No profile imported.';
+    if (document.activeElement !== form.elements.buildProfile) {
+      form.elements.buildProfile.value = settings.buildProfile
+        ? JSON.stringify(settings.buildProfile, null, 2)
+        : '';
+    }
+
+    if (document.activeElement !== form.elements.runeCatalogue) {
+      form.elements.runeCatalogue.value = JSON.stringify(
+        settingsStore.resolveRuneCatalogue(settings),
+        null,
+        2
+      );
+    }
+
+    fillSelect(
+      form.elements.sortBy,
+      Object.entries(dealPanel.SORT_COLUMNS).map(([id, c]) => [id, c.label]),
+      settings.panel.sortBy
+    );
+    form.elements.topN.value = String(settings.panel.topN);
+    form.elements.collapsed.checked = settings.panel.collapsed;
+    form.elements.jumpFlashMs.value = String(settings.jumpFlashMs);
+  }
+
+  function readCurrencyTable() {
+    const exchangeRates = {};
+    const currencyShort = {};
+    for (const input of currencyRows.querySelectorAll('input[data-rate]')) {
+      exchangeRates[input.dataset.rate] = Number(input.value);
+    }
+    for (const input of currencyRows.querySelectorAll('input[data-short]')) {
+      currencyShort[input.dataset.short] = input.value;
+    }
+    return { exchangeRates, currencyShort };
+  }
+
+  function numberOrNull(input) {
+    return input.value === '' ? null : Number(input.value);
+  }
+
+  form.addEventListener('submit', (e) => e.preventDefault());
+
+  form.addEventListener('change', (e) => {
+    const target = e.target;
+    const els = form.elements;
+
+    if (target.dataset.rate || target.dataset.short) {
+      save(readCurrencyTable());
+      return;
+    }
+    if (target.dataset.spellWeight) {
+      save({ spellWeights: readSpellWeights() });
+      return;
+    }
+
+    switch (target.name) {
+      case 'metric':
+        save({ metric: els.metric.value });
+        break;
+      case 'runeTolerancePct':
+        save({ runeTolerancePct: numberOrNull(els.runeTolerancePct) });
+        break;
+      case 'qualityCap':
+        save({ qualityCap: numberOrNull(els.qualityCap) });
+        break;
+      case 'skillLevelDamagePct':
+        save({ skillLevelDamagePct: numberOrNull(els.skillLevelDamagePct) });
+        break;
+      case 'newCurrency': {
+        const key = currency.normalizeCurrency(els.newCurrency.value);
+        els.newCurrency.value = '';
+        const table = readCurrencyTable();
+        if (!key || table.exchangeRates[key]) return;
+        // New currencies start at 1:1 so they show up in the table for editing.
+        table.exchangeRates[key] = 1;
+        save(table);
+        break;
+      }
+      case 'topN':
+      case 'sortBy':
+      case 'collapsed':
+        save({
+          panel: {
+            ...settings.panel,
+            topN: els.topN.value,
+            sortBy: els.sortBy.value,
+            collapsed: els.collapsed.checked,
+          },
+        });
+        break;
+      case 'jumpFlashMs':
+        save({ jumpFlashMs: numberOrNull(els.jumpFlashMs) });
+        break;
+      default:
+        break;
+    }
+  });
+
+  document.getElementById('save-runes').addEventListener('click', () => {
+    let entries;
+    try {
+      entries = JSON.parse(form.elements.runeCatalogue.value);
+    } catch (err) {
+      showStatus(`Invalid JSON: ${err.message}`, true);
+      return;
+    }
+    if (!Array.isArray(entries) || !entries.length) {
+      showStatus('The catalogue must be a non-empty array', true);
+      return;
+    }
+    const catalogue = runeOptions.normalizeRuneCatalogue(entries);
+    if (!catalogue.length) {
+      showStatus('No valid runes (each needs an id and numeric stats)', true);
+      return;
+    }
+    form.elements.runeCatalogue.blur();
+    save({ runeCatalogue: catalogue });
+  });
+
+  document.getElementById('reset-runes').addEventListener('click', () => {
+    form.elements.runeCatalogue.blur();
+    save({ runeCatalogue: null });
+  });
+
+  function importBuildProfile(text) {
+    let profile;
+    try {
+      profile = buildProfile.parseBuildProfile(text);
+    } catch (err) {
+      showStatus(err.message, true);
+      return;
+    }
+    form.elements.buildProfile.blur();
+    save({ buildProfile: profile });
+  }
+
+  document.getElementById('build-globals').textContent =
+    Object.keys(buildProfile.BUILD_GLOBALS).join(', ');
+
+  document.getElementById('save-build').addEventListener('click', () => {
+    importBuildProfile(form.elements.buildProfile.value);
+  });
+
+  document.getElementById('build-file').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then(
+      (text) => {
+        form.elements.buildProfile.value = text;
+        importBuildProfile(text);
+      },
+      (err) => showStatus(`Could not read ${file.name}: ${err.message}`, true)
+    );
+    e.target.value = '';
+  });
+
+  document.getElementById('clear-build').addEventListener('click', () => {
+    form.elements.buildProfile.blur();
+    save({ buildProfile: null });
+  });
+
+  document.getElementById('reset-position').addEventListener('click', () => {
+    save({ panel: { ...settings.panel, position: null } });
+  });
+
+  settingsStore.onSettingsChanged((next) => {
+    if (JSON.stringify(next) === JSON.stringify(settings)) return;
+    settings = next;
+    fill();
+  });
+
+  settingsStore
+    .loadSettings()
+    .catch((err) => {
+      console.warn('poe2deal: could not load settings, using defaults', err);
+      return settingsStore.sanitizeSettings(null);
+    })
+    .then((loaded) => {
+      settings = loaded;
+      fill();
+    });
+})();
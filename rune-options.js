@@ -1,6 +1,9 @@
 /**
- * Best DPS rune options for martial weapons.
- * Used to compute "best variant" when all rune slots use the optimal rune.
+ * Best rune options for martial weapons (DPS) and armour pieces (defences).
+ * Used to compute "best variant" by searching every allowed rune mix for the item's slots.
+ *
+ * The catalogue is plain data: adding a rune from a league patch means adding an entry,
+ * not touching the search.
  *
  * Sources: PoE2 Wiki, PoE2DB
  */
@@ -9,34 +12,163 @@
   'use strict';
 
   /**
-   * Rune options that boost DPS (martial weapons).
-   * Per-slot stats; multiply by slot count when filling all slots.
+   * Item classes that take martial weapon runes.
+   */
+  const MARTIAL_WEAPON_CLASSES = [
+    'Bow',
+    'Crossbow',
+    'Quarterstaff',
+    'Spear',
+    'One Hand Mace',
+    'Two Hand Mace',
+    'One Hand Sword',
+    'Two Hand Sword',
+    'One Hand Axe',
+    'Two Hand Axe',
+    'Claw',
+    'Dagger',
+    'Flail',
+  ];
+
+  /**
+   * Item classes that take armour runes (see armour-parser.js; 'Armour' is a piece whose
+   * slot the base name does not tell).
+   */
+  const ARMOUR_CLASSES = ['Armour', 'Body Armour', 'Helmet', 'Gloves', 'Boots', 'Shield', 'Buckler', 'Focus'];
+
+  /**
+   * @typedef {Object} RuneOption
+   * @property {string} id
+   * @property {string} name
+   * @property {string} [shortName] - Used in badges and the top list
+   * @property {'rune'|'soul-core'} kind
+   * @property {Object<string, number>} stats - Per-socket KnownModifiers contribution
+   * @property {number|null} [limit] - Max sockets per item; null = unlimited
+   * @property {string[]|null} [itemClasses] - Allowed item classes; null = any
+   * @property {{ amount: number, currency: string }|null} [cost] - Market price per rune
+   */
+
+  /**
+   * Rune options that boost DPS (martial weapons) or defences (armour).
+   * Per-slot stats; multiplied by the number of sockets using that rune.
+   * A rune with different effects per item type has one entry per type.
+   * Costs are rough market prices and meant to be edited by the user.
+   *
+   * @type {RuneOption[]}
    */
   const RUNE_OPTIONS = [
     {
       id: 'greater-iron',
       name: 'Greater Iron Rune',
-      increasedPhys: 18,
+      shortName: 'Greater Iron',
+      kind: 'rune',
+      stats: { increasedPhys: 18 },
+      limit: null,
+      itemClasses: MARTIAL_WEAPON_CLASSES,
+      cost: { amount: 2, currency: 'exalted' },
     },
     {
       id: 'thane-summer',
       name: "Thane Myrk's Rune of Summer",
-      flatFireMin: 23,
-      flatFireMax: 34,
+      shortName: "Thane Myrk's Summer",
+      kind: 'rune',
+      stats: { flatFireMin: 23, flatFireMax: 34 },
+      limit: 1,
+      itemClasses: MARTIAL_WEAPON_CLASSES,
+      cost: { amount: 3, currency: 'divine' },
     },
     {
       id: 'thane-spring',
       name: "Thane Leld's Rune of Spring",
-      flatLightningMin: 1,
-      flatLightningMax: 60,
+      shortName: "Thane Leld's Spring",
+      kind: 'rune',
+      stats: { flatLightningMin: 1, flatLightningMax: 60 },
+      limit: 1,
+      itemClasses: MARTIAL_WEAPON_CLASSES,
+      cost: { amount: 5, currency: 'divine' },
     },
     {
       id: 'quipolatl',
       name: 'Soul Core of Quipolatl',
-      increasedAttackSpeed: 5,
+      shortName: 'Quipolatl',
+      kind: 'soul-core',
+      stats: { increasedAttackSpeed: 5 },
+      limit: null,
+      itemClasses: MARTIAL_WEAPON_CLASSES,
+      cost: { amount: 1, currency: 'divine' },
+    },
+    {
+      id: 'greater-iron-armour',
+      name: 'Greater Iron Rune',
+      shortName: 'Greater Iron',
+      kind: 'rune',
+      stats: { increasedArmour: 18, increasedEvasion: 18, increasedEnergyShield: 18 },
+      limit: null,
+      itemClasses: ARMOUR_CLASSES,
+      cost: { amount: 2, currency: 'exalted' },
     },
   ];
 
+  /**
+   * Validate a (user-supplied) catalogue. Entries without an id or numeric stats are dropped;
+   * optional fields are filled with their defaults.
+   *
+   * @param {Array} entries
+   * @returns {RuneOption[]}
+   */
+  function normalizeRuneCatalogue(entries) {
+    if (!Array.isArray(entries)) return [];
+    const out = [];
+    const seen = new Set();
+
+    for (const entry of entries) {
+      if (!entry || typeof entry.id !== 'string' || !entry.id || seen.has(entry.id)) continue;
+
+      const stats = {};
+      for (const [k, v] of Object.entries(entry.stats || {})) {
+        if (typeof v === 'number' && Number.isFinite(v)) stats[k] = v;
+      }
+      if (!Object.keys(stats).length) continue;
+
+      const limit = Number(entry.limit);
+      const costAmount = Number(entry.cost?.amount);
+
+      out.push({
+        id: entry.id,
+        name: typeof entry.name === 'string' && entry.name ? entry.name : entry.id,
+        shortName: typeof entry.shortName === 'string' && entry.shortName ? entry.shortName : undefined,
+        kind: entry.kind === 'soul-core' ? 'soul-core' : 'rune',
+        stats,
+        limit: entry.limit != null && Number.isInteger(limit) && limit >= 0 ? limit : null,
+        itemClasses: Array.isArray(entry.itemClasses) ? entry.itemClasses.map(String) : null,
+        cost:
+          entry.cost && Number.isFinite(costAmount) && costAmount >= 0 && entry.cost.currency
+            ? { amount: costAmount, currency: String(entry.cost.currency) }
+            : null,
+      });
+      seen.add(entry.id);
+    }
+
+    return out;
+  }
+
+  function isArmourOnly(rune) {
+    return !!rune.itemClasses?.length && rune.itemClasses.every((c) => ARMOUR_CLASSES.includes(c));
+  }
+
+  /**
+   * Runes from the catalogue that may be socketed into the given item class.
+   * An unknown item class is a weapon whose type line did not tell its class (armour
+   * always has one), so it allows every rune except armour-only ones.
+   */
+  function runesForItemClass(catalogue, itemClass) {
+    return catalogue.filter((rune) =>
+      itemClass
+        ? !rune.itemClasses || rune.itemClasses.includes(itemClass)
+        : !isArmourOnly(rune)
+    );
+  }
+
   /**
    * Apply rune effects to mods (additive, multiplied by count).
    * The caller is responsible for enforcing per-rune limits.
@@ -44,10 +176,9 @@
   function applyRuneToMods(mods, rune, count) {
     const out = { ...mods };
     const slots = Math.max(0, count | 0);
-    if (!slots) return out;
+    if (!slots || !rune) return out;
 
-    for (const [k, v] of Object.entries(rune)) {
-      if (k === 'id' || k === 'name') continue;
+    for (const [k, v] of Object.entries(rune.stats || {})) {
       if (typeof v === 'number' && out[k] !== undefined) {
         out[k] = (out[k] ?? 0) + v * slots;
       }
@@ -56,121 +187,282 @@
   }
 
   /**
-   * Compute best rune variant: strip rune mods, try each rune configuration, return highest DPS.
+   * Remove the contribution of currently socketed runes. Quality is never rune-sourced.
+   */
+  function stripRuneMods(mods, runeMods) {
+    const out = { ...mods };
+    for (const [k, v] of Object.entries(runeMods || {})) {
+      if (k === 'quality') continue;
+      if (typeof v === 'number' && typeof out[k] === 'number') out[k] -= v;
+    }
+    return out;
+  }
+
+  /**
+   * Enumerate every rune mix for the given slot count that respects per-rune limits.
+   * Slots are always filled when the catalogue allows it; if limits make that impossible,
+   * the largest fillable count is used.
+   *
+   * @param {RuneOption[]} runes - Already filtered for the item class
+   * @param {number} slotCount
+   * @returns {Array<Object<string, number>>} Configurations as { [runeId]: count }
+   */
+  function enumerateRuneConfigurations(runes, slotCount) {
+    const capacity = runes.reduce(
+      (sum, r) => sum + Math.min(r.limit ?? slotCount, slotCount),
+      0
+    );
+    const target = Math.min(slotCount, capacity);
+    const out = [];
+
+    (function walk(index, remaining, config) {
+      if (index === runes.length) {
+        if (remaining === slotCount - target) out.push({ ...config });
+        return;
+      }
+      const rune = runes[index];
+      const max = Math.min(rune.limit ?? remaining, remaining);
+      for (let count = 0; count <= max; count++) {
+        if (count) config[rune.id] = count;
+        else delete config[rune.id];
+        walk(index + 1, remaining - count, config);
+      }
+      delete config[rune.id];
+    })(0, slotCount, {});
+
+    return out;
+  }
+
+  /**
+   * Score every rune configuration for the item.
    *
    * @param {Object} base - Reverse-engineered base stats
    * @param {Object} mods - All modifiers (we'll subtract rune mods)
    * @param {Object} runeMods - Modifiers that come from runes only
    * @param {number} runeSlotCount - Number of rune slots
-   * @param {Function} calcDps - (base, mods) => totalDps
-   * @returns {{ rune: object, dps: number, mods: object }|null}
+   * @param {Function} calcDps - (input) => result; input comes from options.buildInput
+   * @param {Object} [options] - See computeBestRuneVariant
+   * @returns {Array<{ configuration: Object<string, number>, dps: number, result: object,
+   *   modsWithRune: object }>}
    */
-  function computeBestRuneVariant(base, mods, runeMods, runeSlotCount, calcDps) {
-    if (!runeSlotCount || runeSlotCount < 1) return null;
-
-    const modsWithoutRunes = {
-      flatPhysMin: (mods.flatPhysMin ?? 0) - (runeMods.flatPhysMin ?? 0),
-      flatPhysMax: (mods.flatPhysMax ?? 0) - (runeMods.flatPhysMax ?? 0),
-      flatFireMin: (mods.flatFireMin ?? 0) - (runeMods.flatFireMin ?? 0),
-      flatFireMax: (mods.flatFireMax ?? 0) - (runeMods.flatFireMax ?? 0),
-      flatColdMin: (mods.flatColdMin ?? 0) - (runeMods.flatColdMin ?? 0),
-      flatColdMax: (mods.flatColdMax ?? 0) - (runeMods.flatColdMax ?? 0),
-      flatLightningMin: (mods.flatLightningMin ?? 0) - (runeMods.flatLightningMin ?? 0),
-      flatLightningMax: (mods.flatLightningMax ?? 0) - (runeMods.flatLightningMax ?? 0),
-      flatChaosMin: (mods.flatChaosMin ?? 0) - (runeMods.flatChaosMin ?? 0),
-      flatChaosMax: (mods.flatChaosMax ?? 0) - (runeMods.flatChaosMax ?? 0),
-      increasedPhys: (mods.increasedPhys ?? 0) - (runeMods.increasedPhys ?? 0),
-      increasedAttackSpeed: (mods.increasedAttackSpeed ?? 0) - (runeMods.increasedAttackSpeed ?? 0),
-      quality: mods.quality ?? 0,
-    };
+  function evaluateRuneConfigurations(base, mods, runeMods, runeSlotCount, calcDps, options = {}) {
+    if (!runeSlotCount || runeSlotCount < 1) return [];
+
+    const catalogue = options.catalogue || RUNE_OPTIONS;
+    const runes = runesForItemClass(catalogue, options.itemClass);
+    const byId = new Map(runes.map((r) => [r.id, r]));
+    const modsWithoutRunes = stripRuneMods(mods, runeMods);
+
+    return enumerateRuneConfigurations(runes, runeSlotCount).map((configuration) => {
+      let modsWithRunes = { ...modsWithoutRunes };
+      for (const [id, count] of Object.entries(configuration)) {
+        modsWithRunes = applyRuneToMods(modsWithRunes, byId.get(id), count);
+      }
 
-    // Pre-resolve rune refs for convenience
-    const iron = RUNE_OPTIONS.find((r) => r.id === 'greater-iron');
-    const summer = RUNE_OPTIONS.find((r) => r.id === 'thane-summer');
-    const spring = RUNE_OPTIONS.find((r) => r.id === 'thane-spring');
-    const quip = RUNE_OPTIONS.find((r) => r.id === 'quipolatl');
+      const input = options.buildInput ? options.buildInput(base, modsWithRunes) : {
+        basePhysMin: base.basePhysMin,
+        basePhysMax: base.basePhysMax,
+        baseAps: base.baseAps,
+        baseCritChance: base.baseCritChance,
+        baseFireMin: base.baseFireMin ?? 0,
+        baseFireMax: base.baseFireMax ?? 0,
+        baseColdMin: base.baseColdMin ?? 0,
+        baseColdMax: base.baseColdMax ?? 0,
+        baseLightningMin: base.baseLightningMin ?? 0,
+        baseLightningMax: base.baseLightningMax ?? 0,
+        baseChaosMin: base.baseChaosMin ?? 0,
+        baseChaosMax: base.baseChaosMax ?? 0,
+        ...modsWithRunes,
+      };
 
+      const result = calcDps(input);
+      // Default: non-crit total DPS to match trade site's displayed DPS more closely.
+      const dps = options.score
+        ? options.score(result)
+        : (result && typeof result.totalDps === 'number') ? result.totalDps : 0;
+
+      return { configuration, dps, result, modsWithRune: modsWithRunes };
+    });
+  }
+
+  /**
+   * Compute best rune variant: strip rune mods, try each rune configuration, return highest DPS.
+   *
+   * @param {Object} base - Reverse-engineered base stats
+   * @param {Object} mods - All modifiers (we'll subtract rune mods)
+   * @param {Object} runeMods - Modifiers that come from runes only
+   * @param {number} runeSlotCount - Number of rune slots
+   * @param {Function} calcDps - (base, mods) => totalDps
+   * @param {Object} [options]
+   * @param {Function} [options.score] - (calcDps result) => number to maximize; defaults to total DPS
+   * @param {RuneOption[]} [options.catalogue=RUNE_OPTIONS]
+   * @param {string|null} [options.itemClass] - Restricts runes by their itemClasses
+   * @param {Function} [options.buildInput] - (base, mods) => calcDps input; defaults to the
+   *   weapon inputs (e.g. armour-defence.js buildDefenceInputs for armour)
+   * @returns {{ rune: object, dps: number, result: object, modsWithRune: object }|null}
+   */
+  function computeBestRuneVariant(base, mods, runeMods, runeSlotCount, calcDps, options = {}) {
     let best = null;
 
-    // Constraints:
-    // - At most 1 Spring
-    // - At most 1 Summer
-    // - Remaining sockets can be Iron and/or Quipolatl
-    for (let springCount = 0; springCount <= Math.min(1, runeSlotCount); springCount++) {
-      for (let summerCount = 0; summerCount <= Math.min(1, runeSlotCount - springCount); summerCount++) {
-        const remainingAfterSpringSummer = runeSlotCount - springCount - summerCount;
-        for (let ironCount = 0; ironCount <= remainingAfterSpringSummer; ironCount++) {
-          const quipCount = remainingAfterSpringSummer - ironCount;
-
-          let modsWithRunes = { ...modsWithoutRunes };
-
-          if (iron && ironCount > 0) {
-            modsWithRunes = applyRuneToMods(modsWithRunes, iron, ironCount);
-          }
-          if (summer && summerCount > 0) {
-            modsWithRunes = applyRuneToMods(modsWithRunes, summer, summerCount);
-          }
-          if (spring && springCount > 0) {
-            modsWithRunes = applyRuneToMods(modsWithRunes, spring, springCount);
-          }
-          if (quip && quipCount > 0) {
-            modsWithRunes = applyRuneToMods(modsWithRunes, quip, quipCount);
-          }
-
-          const input = {
-            basePhysMin: base.basePhysMin,
-            basePhysMax: base.basePhysMax,
-            baseAps: base.baseAps,
-            baseFireMin: base.baseFireMin ?? 0,
-            baseFireMax: base.baseFireMax ?? 0,
-            baseColdMin: base.baseColdMin ?? 0,
-            baseColdMax: base.baseColdMax ?? 0,
-            baseLightningMin: base.baseLightningMin ?? 0,
-            baseLightningMax: base.baseLightningMax ?? 0,
-            baseChaosMin: base.baseChaosMin ?? 0,
-            baseChaosMax: base.baseChaosMax ?? 0,
-            ...modsWithRunes,
-          };
-
-          const result = calcDps(input);
-          // Use non-crit total DPS to match trade site's displayed DPS more closely.
-          const dps = (result && typeof result.totalDps === 'number') ? result.totalDps : 0;
-
-          if (!best || dps > best.dps) {
-            best = {
-              rune: {
-                configuration: {
-                  iron: ironCount,
-                  summer: summerCount,
-                  spring: springCount,
-                  quip: quipCount,
-                },
-              },
-              dps,
-              modsWithRune: modsWithRunes,
-            };
-          }
-        }
+    for (const variant of evaluateRuneConfigurations(
+      base, mods, runeMods, runeSlotCount, calcDps, options
+    )) {
+      if (!best || variant.dps > best.dps) {
+        best = {
+          rune: { configuration: variant.configuration },
+          dps: variant.dps,
+          result: variant.result,
+          modsWithRune: variant.modsWithRune,
+        };
       }
     }
 
     return best;
   }
 
+  /**
+   * Total cost of a configuration. Runes without a known cost count as free.
+   *
+   * @param {Object<string, number>} configuration
+   * @param {Map<string, RuneOption>} byId
+   * @param {Function} costOf - (rune) => cost in the caller's unit, or null
+   */
+  function configurationCost(configuration, byId, costOf) {
+    let total = 0;
+    for (const [id, count] of Object.entries(configuration)) {
+      const cost = costOf(byId.get(id));
+      if (typeof cost === 'number' && Number.isFinite(cost)) total += cost * count;
+    }
+    return total;
+  }
+
+  function configurationKey(configuration) {
+    return Object.keys(configuration)
+      .sort()
+      .map((id) => `${id}:${configuration[id]}`)
+      .join(',');
+  }
+
+  /**
+   * Cost-aware rune plan: the max-DPS mix, the cheapest mix within `tolerancePct` of it,
+   * and single-socket swaps from that cheap mix ranked by DPS gained per currency spent.
+   *
+   * @param {Object} base
+   * @param {Object} mods
+   * @param {Object} runeMods
+   * @param {number} runeSlotCount
+   * @param {Function} calcDps
+   * @param {Object} [options] - computeBestRuneVariant options, plus:
+   * @param {Function} [options.costOf] - (rune) => price in one currency unit; defaults to rune.cost.amount
+   * @param {number} [options.tolerancePct=5] - How far below max DPS the cheap mix may be
+   * @returns {{ best: object, recommended: object, swaps: Array<{ from: string, to: string,
+   *   dpsDelta: number, costDelta: number, dpsPerCost: number }> }|null}
+   */
+  function computeRuneUpgradePlan(base, mods, runeMods, runeSlotCount, calcDps, options = {}) {
+    const variants = evaluateRuneConfigurations(
+      base, mods, runeMods, runeSlotCount, calcDps, options
+    );
+    if (!variants.length) return null;
+
+    const catalogue = options.catalogue || RUNE_OPTIONS;
+    const runes = runesForItemClass(catalogue, options.itemClass);
+    const byId = new Map(runes.map((r) => [r.id, r]));
+    const costOf = options.costOf || ((rune) => rune?.cost?.amount ?? null);
+    const tolerancePct = Math.max(0, options.tolerancePct ?? 5);
+
+    for (const variant of variants) {
+      variant.cost = configurationCost(variant.configuration, byId, costOf);
+    }
+
+    const best = variants.reduce((a, b) => (b.dps > a.dps ? b : a));
+    const floor = best.dps * (1 - tolerancePct / 100);
+    const recommended = variants
+      .filter((v) => v.dps >= floor)
+      .reduce((a, b) => (b.cost < a.cost || (b.cost === a.cost && b.dps > a.dps) ? b : a));
+
+    const byKey = new Map(variants.map((v) => [configurationKey(v.configuration), v]));
+    const swaps = [];
+    for (const fromId of Object.keys(recommended.configuration)) {
+      for (const to of runes) {
+        if (to.id === fromId) continue;
+        const configuration = { ...recommended.configuration };
+        configuration[fromId] -= 1;
+        if (!configuration[fromId]) delete configuration[fromId];
+        configuration[to.id] = (configuration[to.id] ?? 0) + 1;
+
+        const swapped = byKey.get(configurationKey(configuration));
+        if (!swapped) continue; // breaks a per-item limit
+
+        const dpsDelta = swapped.dps - recommended.dps;
+        const costDelta = swapped.cost - recommended.cost;
+        if (dpsDelta <= 0) continue;
+        swaps.push({
+          from: fromId,
+          to: to.id,
+          dpsDelta,
+          costDelta,
+          dpsPerCost: costDelta > 0 ? dpsDelta / costDelta : Infinity,
+        });
+      }
+    }
+    swaps.sort((a, b) => b.dpsPerCost - a.dpsPerCost);
+
+    return { best, recommended, swaps };
+  }
+
+  /**
+   * Human-readable rune mix, e.g. "1x Greater Iron, 1x Thane Leld's Spring".
+   *
+   * @param {Object<string, number>} configuration
+   * @param {RuneOption[]} [catalogue=RUNE_OPTIONS]
+   * @returns {string|null}
+   */
+  function formatRuneConfiguration(configuration, catalogue = RUNE_OPTIONS) {
+    if (!configuration) return null;
+
+    const parts = [];
+    for (const rune of catalogue) {
+      const count = configuration[rune.id];
+      if (count) parts.push(`${count}x ${rune.shortName || rune.name}`);
+    }
+    if (!parts.length) return null;
+    return parts.join(', ');
+  }
+
   if (typeof window !== 'undefined') {
     window.PoeValueEvaluator = window.PoeValueEvaluator || {};
     window.PoeValueEvaluator.runeOptions = {
+      MARTIAL_WEAPON_CLASSES,
+      ARMOUR_CLASSES,
       RUNE_OPTIONS,
+      normalizeRuneCatalogue,
+      runesForItemClass,
       applyRuneToMods,
+      stripRuneMods,
+      enumerateRuneConfigurations,
+      evaluateRuneConfigurations,
       computeBestRuneVariant,
+      computeRuneUpgradePlan,
+      configurationCost,
+      formatRuneConfiguration,
     };
   }
 
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+      MARTIAL_WEAPON_CLASSES,
+      ARMOUR_CLASSES,
       RUNE_OPTIONS,
+      normalizeRuneCatalogue,
+      runesForItemClass,
       applyRuneToMods,
+      stripRuneMods,
+      enumerateRuneConfigurations,
+      evaluateRuneConfigurations,
       computeBestRuneVariant,
+      computeRuneUpgradePlan,
+      configurationCost,
+      formatRuneConfiguration,
     };
   }
 })();
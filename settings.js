@@ -0,0 +1,294 @@
+/**
+ * Extension settings: one validated object in chrome.storage.local, shared by the
+ * content script and the options page. Both sides listen for changes, so edits on the
+ * options page apply to open trade tabs without a reload (and vice versa).
+ *
+ * Outside an extension context (plain page, tests) settings fall back to localStorage.
+ */
+
+(function () {
+  'use strict';
+
+  const SETTINGS_STORAGE_KEY = 'poe2deal:settings';
+
+  const { currency, weaponDps, runeOptions, spellWeapon, buildProfile, dealPanel } =
+    window.PoeValueEvaluator;
+
+  // DPS metrics plus ranking modes that need more than one calcWeaponDps result.
+  const RANKING_METRICS = {
+    ...weaponDps.DPS_METRICS,
+    craft: { key: 'totalDps', label: 'Crafted ceiling DPS', short: 'craftDPS', crafted: true },
+    quality: {
+      key: 'totalDps',
+      label: `DPS at ${weaponDps.MAX_NORMAL_QUALITY}% quality`,
+      short: 'qDPS',
+      qualityNormalized: true,
+    },
+  };
+
+  const DEFAULT_RUNE_TOLERANCE_PCT = 5;
+  const DEFAULT_JUMP_FLASH_MS = 1800;
+  const MAX_JUMP_FLASH_MS = 10000;
+  // Off by default: what a skill level is worth depends on the build's main skill.
+  const DEFAULT_SKILL_LEVEL_DAMAGE_PCT = 0;
+
+  /**
+   * @typedef {Object} Settings
+   * @property {string} metric - Key of RANKING_METRICS
+   * @property {Object<string, number>} exchangeRates - Units per 1 divine (see currency.js)
+   * @property {Object<string, string>} currencyShort - Display names, e.g. { exalted: 'ex' }
+   * @property {Array<Object>|null} runeCatalogue - User rune catalogue; null = built-in RUNE_OPTIONS
+   * @property {number} runeTolerancePct - Cheapest rune mix may be this far below max DPS
+   * @property {number|null} qualityCap - Corrupted/catalysed quality above 20%; null = off
+   * @property {number} jumpFlashMs - How long a row stays highlighted after a panel jump
+   * @property {number} skillLevelDamagePct - % more damage per attack/projectile/melee skill level
+   * @property {Object<string, number>} spellWeights - Spell weapon score weights (see spell-weapon.js)
+   * @property {Object|null} buildProfile - Imported build (see build-profile.js); null = none
+   * @property {Object} panel - Top-deals panel settings (see deal-panel.js)
+   */
+
+  /** @type {Settings} */
+  const DEFAULT_SETTINGS = {
+    metric: 'dps',
+    exchangeRates: currency.DEFAULT_EXCHANGE_RATES,
+    currencyShort: currency.CURRENCY_SHORT,
+    runeCatalogue: null,
+    runeTolerancePct: DEFAULT_RUNE_TOLERANCE_PCT,
+    qualityCap: null,
+    jumpFlashMs: DEFAULT_JUMP_FLASH_MS,
+    skillLevelDamagePct: DEFAULT_SKILL_LEVEL_DAMAGE_PCT,
+    spellWeights: spellWeapon.DEFAULT_SPELL_WEIGHTS,
+    buildProfile: null,
+    panel: dealPanel.DEFAULT_PANEL_SETTINGS,
+  };
+
+  function sanitizeCurrencyShort(names) {
+    const out = { ...currency.CURRENCY_SHORT };
+    if (names && typeof names === 'object') {
+      for (const [k, v] of Object.entries(names)) {
+        const key = currency.normalizeCurrency(k);
+        if (key && typeof v === 'string' && v.trim()) out[key] = v.trim();
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Fill defaults and drop invalid values, so callers never have to re-validate.
+   *
+   * @param {Object|null} raw
+   * @returns {Settings}
+   */
+  function sanitizeSettings(raw) {
+    const s = raw && typeof raw === 'object' ? raw : {};
+    const catalogue = Array.isArray(s.runeCatalogue)
+      ? runeOptions.normalizeRuneCatalogue(s.runeCatalogue)
+      : [];
+    const tolerance = Number(s.runeTolerancePct);
+    const qualityCap = Number(s.qualityCap);
+    const flash = Math.round(Number(s.jumpFlashMs));
+    const perLevel = Number(s.skillLevelDamagePct);
+
+    return {
+      metric: RANKING_METRICS[s.metric] ? s.metric : DEFAULT_SETTINGS.metric,
+      exchangeRates: currency.sanitizeRates(s.exchangeRates),
+      currencyShort: sanitizeCurrencyShort(s.currencyShort),
+      runeCatalogue: catalogue.length ? catalogue : null,
+      runeTolerancePct:
+        s.runeTolerancePct != null && Number.isFinite(tolerance) && tolerance >= 0
+          ? tolerance
+          : DEFAULT_RUNE_TOLERANCE_PCT,
+      qualityCap:
+        s.qualityCap != null && Number.isFinite(qualityCap) && qualityCap > weaponDps.MAX_NORMAL_QUALITY
+          ? qualityCap
+          : null,
+      jumpFlashMs:
+        s.jumpFlashMs != null && Number.isFinite(flash) && flash >= 0
+          ? Math.min(flash, MAX_JUMP_FLASH_MS)
+          : DEFAULT_JUMP_FLASH_MS,
+      skillLevelDamagePct:
+        s.skillLevelDamagePct != null && Number.isFinite(perLevel) && perLevel >= 0
+          ? perLevel
+          : DEFAULT_SKILL_LEVEL_DAMAGE_PCT,
+      spellWeights: spellWeapon.sanitizeSpellWeights(s.spellWeights),
+      buildProfile: buildProfile.sanitizeBuildProfile(s.buildProfile),
+      panel: dealPanel.sanitizePanelSettings(s.panel),
+    };
+  }
+
+  /**
+   * Rune catalogue in effect for these settings.
+   */
+  function resolveRuneCatalogue(settings) {
+    return settings.runeCatalogue || runeOptions.RUNE_OPTIONS;
+  }
+
+  // ----- Storage backends -----
+  function extensionStorage() {
+    return typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local
+      ? chrome.storage.local
+      : null;
+  }
+
+  function readLocal(key) {
+    try {
+      const raw = window.localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Per-key localStorage values written by versions before the settings store.
+  const LEGACY_KEYS = {
+    metric: 'poe2deal:metric',
+    exchangeRates: 'poe2deal:exchange-rates',
+    runeCatalogue: 'poe2deal:rune-catalogue',
+    qualityCap: 'poe2deal:quality-cap',
+    runeTolerancePct: 'poe2deal:rune-tolerance',
+    panel: 'poe2deal:panel',
+  };
+
+  function readLegacySettings() {
+    const legacy = {};
+    for (const [field, key] of Object.entries(LEGACY_KEYS)) {
+      const value = readLocal(key);
+      if (value != null) legacy[field] = value;
+    }
+    return Object.keys(legacy).length ? legacy : null;
+  }
+
+  function removeLegacySettings() {
+    try {
+      for (const key of Object.values(LEGACY_KEYS)) window.localStorage.removeItem(key);
+    } catch (_) {
+      // Storage unavailable; nothing to clean up.
+    }
+  }
+
+  /**
+   * Read one JSON value from extension storage (localStorage outside the extension).
+   * Also used for non-settings data such as listing history.
+   *
+   * @param {string} key
+   * @returns {Promise<*>} null when missing
+   */
+  async function readStorage(key) {
+    const area = extensionStorage();
+    if (!area) return readLocal(key);
+    const items = await area.get(key);
+    return items[key] ?? null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value - JSON-serializable
+   * @returns {Promise<void>}
+   */
+  async function writeStorage(key, value) {
+    const area = extensionStorage();
+    if (area) {
+      await area.set({ [key]: value });
+      return;
+    }
+    try {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (_) {
+      // Storage unavailable (private mode etc.); keep the value for this page only.
+    }
+  }
+
+  /**
+   * Load settings, migrating per-key localStorage values from older versions once.
+   *
+   * @returns {Promise<Settings>}
+   */
+  async function loadSettings() {
+    const stored = await readStorage(SETTINGS_STORAGE_KEY);
+    if (stored) return sanitizeSettings(stored);
+
+    const legacy = typeof window.localStorage !== 'undefined' ? readLegacySettings() : null;
+    if (!legacy) return sanitizeSettings(null);
+
+    const migrated = sanitizeSettings(legacy);
+    await writeStorage(SETTINGS_STORAGE_KEY, migrated);
+    removeLegacySettings();
+    return migrated;
+  }
+
+  // Saves are read-merge-write; chain them so quick successive edits do not overwrite each other.
+  let saveQueue = Promise.resolve();
+
+  /**
+   * Merge a partial update into the stored settings.
+   *
+   * @param {Partial<Settings>} patch
+   * @returns {Promise<Settings>} The settings as saved
+   */
+  function saveSettings(patch) {
+    const run = saveQueue.then(async () => {
+      const current = sanitizeSettings(await readStorage(SETTINGS_STORAGE_KEY));
+      const next = sanitizeSettings({ ...current, ...patch });
+      await writeStorage(SETTINGS_STORAGE_KEY, next);
+      return next;
+    });
+    saveQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Call `callback(settings)` whenever the stored settings change (from any tab or page).
+   *
+   * @param {(settings: Settings) => void} callback
+   */
+  function onSettingsChanged(callback) {
+    if (extensionStorage()) {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes[SETTINGS_STORAGE_KEY]) return;
+        callback(sanitizeSettings(changes[SETTINGS_STORAGE_KEY].newValue));
+      });
+      return;
+    }
+    window.addEventListener('storage', (e) => {
+      if (e.key !== SETTINGS_STORAGE_KEY) return;
+      let value = null;
+      try {
+        value = JSON.parse(e.newValue);
+      } catch (_) {
+        // Treat unreadable values as a reset.
+      }
+      callback(sanitizeSettings(value));
+    });
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.settings = {
+      SETTINGS_STORAGE_KEY,
+      RANKING_METRICS,
+      DEFAULT_SETTINGS,
+      sanitizeSettings,
+      resolveRuneCatalogue,
+      loadSettings,
+      saveSettings,
+      onSettingsChanged,
+      readStorage,
+      writeStorage,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      SETTINGS_STORAGE_KEY,
+      RANKING_METRICS,
+      DEFAULT_SETTINGS,
+      sanitizeSettings,
+      resolveRuneCatalogue,
+      loadSettings,
+      saveSettings,
+      onSettingsChanged,
+      readStorage,
+      writeStorage,
+    };
+  }
+})();
@@ -0,0 +1,101 @@
+/**
+ * Parse spell weapon (wand, staff, sceptre) listings from PoE 2 trade site.
+ * Sums the spell mods spell-weapon.js scores; implicit, explicit, rune, desecrated and
+ * fractured mods all count ([data-field^="stat."] spans).
+ *
+ * Header, rarity and corruption are read with weapon-parser.js, which must load first.
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Examples:
+   *   "+3 to Level of all Spell Skills" -> { spellLevels: 3 }
+   *   "+2 to Level of all Cold Spell Skills" -> { typedSpellLevels: 2 }
+   *   "89% increased Spell Damage" -> { increasedSpellDamage: 89 }
+   *   "45% increased Lightning Damage" -> { increasedTypedDamage: 45 }
+   *   "24% increased Cast Speed" -> { increasedCastSpeed: 24 }
+   *   "60% increased Critical Hit Chance for Spells" -> { increasedSpellCrit: 60 }
+   *   "35% increased Critical Spell Damage Bonus" -> { increasedSpellCritDamage: 35 }
+   *   "Gain 20% of Damage as Extra Fire Damage" -> { gainAsExtra: 20 }
+   */
+  const SPELL_MOD_REGEX = {
+    spellLevels: /^\+(\d+)\s+to\s+Level\s+of\s+all\s+Spell\s+Skills$/i,
+    typedSpellLevels: /^\+(\d+)\s+to\s+Level\s+of\s+all\s+(?:Fire|Cold|Lightning|Chaos|Physical)\s+Spell\s+Skills$/i,
+    increasedSpellDamage: /^(\d+(?:\.\d+)?)\s*%\s*increased\s+Spell\s+Damage$/i,
+    increasedTypedDamage: /^(\d+(?:\.\d+)?)\s*%\s*increased\s+(?:Fire|Cold|Lightning|Chaos|Elemental)\s+Damage$/i,
+    increasedCastSpeed: /^(\d+(?:\.\d+)?)\s*%\s*increased\s+Cast\s+Speed$/i,
+    increasedSpellCrit: /^(\d+(?:\.\d+)?)\s*%\s*increased\s+Critical\s+Hit\s+Chance\s+for\s+Spells$/i,
+    increasedSpellCritDamage: /^(\d+(?:\.\d+)?)\s*%\s*increased\s+Critical\s+Spell\s+Damage\s+Bonus$/i,
+    gainAsExtra: /^Gain\s+(\d+(?:\.\d+)?)\s*%\s+of\s+Damage\s+as\s+Extra\s+(?:Fire|Cold|Lightning|Chaos)\s+Damage$/i,
+  };
+
+  function emptySpellStats() {
+    return Object.fromEntries(Object.keys(SPELL_MOD_REGEX).map((key) => [key, 0]));
+  }
+
+  function parseSpellModText(text) {
+    const out = {};
+    if (!text || typeof text !== 'string') return out;
+    for (const [key, re] of Object.entries(SPELL_MOD_REGEX)) {
+      const m = text.match(re);
+      if (m) out[key] = (out[key] ?? 0) + parseFloat(m[1]);
+    }
+    return out;
+  }
+
+  /**
+   * Sum spell mods over the item's stat lines.
+   *
+   * @param {Element} itemRoot
+   * @returns {import('./spell-weapon.js').SpellStats}
+   */
+  function parseSpellStats(itemRoot) {
+    const root = itemRoot.closest('.itemPopupContainer') || itemRoot;
+    const stats = emptySpellStats();
+    for (const span of root.querySelectorAll('[data-field^="stat."]')) {
+      const parsed = parseSpellModText((span.textContent || '').trim());
+      for (const [k, v] of Object.entries(parsed)) stats[k] += v;
+    }
+    return stats;
+  }
+
+  /**
+   * Parse a wand/staff/sceptre row. Returns null for other item classes.
+   *
+   * @param {Element} row - .row element
+   * @returns {{ stats: object, name: string|null, typeLine: string|null, itemClass: string,
+   *   affixes: object } | null}
+   */
+  function parseSpellWeaponRow(row) {
+    const { weaponParser, spellWeapon } = window.PoeValueEvaluator;
+    const root = weaponParser.findItemRoot(row);
+    if (!root) return null;
+
+    const { name, typeLine } = weaponParser.parseItemHeader(root);
+    const itemClass = weaponParser.inferItemClass(typeLine);
+    if (!spellWeapon.SPELL_WEAPON_CLASSES.includes(itemClass)) return null;
+
+    const stats = parseSpellStats(root);
+    const affixes = weaponParser.parseAffixes(root);
+    return { stats, name, typeLine, itemClass, affixes };
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.spellParser = {
+      parseSpellModText,
+      parseSpellStats,
+      parseSpellWeaponRow,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      parseSpellModText,
+      parseSpellStats,
+      parseSpellWeaponRow,
+    };
+  }
+})();
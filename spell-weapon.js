@@ -0,0 +1,118 @@
+/**
+ * Spell weapon scoring for wands, staves and sceptres.
+ *
+ * Caster weapons have no attack DPS to compare, so they are scored by a weighted sum of
+ * their spell mods. With the default weights one point is roughly 1% more spell damage
+ * for a typical caster; the weights are user settings (see settings.js).
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * Item classes scored as spell weapons (see weapon-parser.js inferItemClass).
+   */
+  const SPELL_WEAPON_CLASSES = ['Wand', 'Staff', 'Sceptre'];
+
+  /**
+   * @typedef {Object} SpellStats
+   * @property {number} spellLevels - "+X to Level of all Spell Skills"
+   * @property {number} typedSpellLevels - "+X to Level of all Fire/Cold/... Spell Skills"
+   * @property {number} increasedSpellDamage - "X% increased Spell Damage"
+   * @property {number} increasedTypedDamage - "X% increased Fire/Cold/Lightning/Chaos/Elemental Damage"
+   * @property {number} increasedCastSpeed - "X% increased Cast Speed"
+   * @property {number} increasedSpellCrit - "X% increased Critical Hit Chance for Spells"
+   * @property {number} increasedSpellCritDamage - "X% increased Critical Spell Damage Bonus"
+   * @property {number} gainAsExtra - "Gain X% of Damage as Extra <Element> Damage"
+   */
+
+  /**
+   * Scored stats, in tooltip order. `weight` is the default points per level or per 1%.
+   */
+  const SPELL_STATS = {
+    spellLevels: { label: 'Level of all Spell Skills', unit: 'level', weight: 10 },
+    typedSpellLevels: { label: "Level of one element's Spell Skills", unit: 'level', weight: 7 },
+    increasedSpellDamage: { label: 'increased Spell Damage', unit: '%', weight: 0.5 },
+    increasedTypedDamage: { label: 'increased damage of one type', unit: '%', weight: 0.3 },
+    increasedCastSpeed: { label: 'increased Cast Speed', unit: '%', weight: 0.8 },
+    increasedSpellCrit: { label: 'increased Spell Critical Hit Chance', unit: '%', weight: 0.15 },
+    increasedSpellCritDamage: { label: 'increased Critical Spell Damage Bonus', unit: '%', weight: 0.1 },
+    gainAsExtra: { label: 'of Damage gained as Extra', unit: '%', weight: 0.8 },
+  };
+
+  /**
+   * Mod-like text for a stat value, e.g. "+3 Level of all Spell Skills", "24% increased Cast Speed".
+   *
+   * @param {string} id - Key of SPELL_STATS
+   * @param {number} value
+   */
+  function formatSpellStat(id, value) {
+    const stat = SPELL_STATS[id];
+    return stat.unit === 'level' ? `+${value} ${stat.label}` : `${value}% ${stat.label}`;
+  }
+
+  const DEFAULT_SPELL_WEIGHTS = Object.fromEntries(
+    Object.entries(SPELL_STATS).map(([id, stat]) => [id, stat.weight])
+  );
+
+  /**
+   * Fill missing weights with defaults and drop negative or non-numeric ones.
+   *
+   * @param {Object|null} raw
+   * @returns {Object<string, number>}
+   */
+  function sanitizeSpellWeights(raw) {
+    const out = { ...DEFAULT_SPELL_WEIGHTS };
+    if (!raw || typeof raw !== 'object') return out;
+    for (const id of Object.keys(SPELL_STATS)) {
+      const n = Number(raw[id]);
+      if (raw[id] != null && raw[id] !== '' && Number.isFinite(n) && n >= 0) out[id] = n;
+    }
+    return out;
+  }
+
+  /**
+   * Weighted spell score with a per-stat breakdown.
+   *
+   * @param {SpellStats} stats
+   * @param {Object<string, number>} [weights=DEFAULT_SPELL_WEIGHTS]
+   * @returns {{ score: number, contributions: Array<{ stat: string, label: string,
+   *   value: number, weight: number, points: number }> }}
+   */
+  function scoreSpellWeapon(stats, weights = DEFAULT_SPELL_WEIGHTS) {
+    const contributions = [];
+    let score = 0;
+    for (const [id, stat] of Object.entries(SPELL_STATS)) {
+      const value = stats[id] ?? 0;
+      if (!value) continue;
+      const weight = weights[id] ?? stat.weight;
+      const points = value * weight;
+      score += points;
+      contributions.push({ stat: id, label: stat.label, value, weight, points });
+    }
+    return { score, contributions };
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.spellWeapon = {
+      SPELL_WEAPON_CLASSES,
+      SPELL_STATS,
+      formatSpellStat,
+      DEFAULT_SPELL_WEIGHTS,
+      sanitizeSpellWeights,
+      scoreSpellWeapon,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      SPELL_WEAPON_CLASSES,
+      SPELL_STATS,
+      formatSpellStat,
+      DEFAULT_SPELL_WEIGHTS,
+      sanitizeSpellWeights,
+      scoreSpellWeapon,
+    };
+  }
+})();
@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, loadFixtureRow } = require('./helpers/load-extension');
+
+const { armourParser, armourDefence, runeOptions, content } = loadExtension();
+
+function assertClose(actual, expected, tolerance = 0.05) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+test('parses single, hybrid and rune defence mods', () => {
+  assert.deepEqual(armourParser.parseDefenceModText('+50 to Armour'), { flatArmour: 50 });
+  assert.deepEqual(armourParser.parseDefenceModText('+32 to maximum Energy Shield'), {
+    flatEnergyShield: 32,
+  });
+  assert.deepEqual(armourParser.parseDefenceModText('45% increased Evasion Rating'), {
+    increasedEvasion: 45,
+  });
+  assert.deepEqual(armourParser.parseDefenceModText('30% increased Armour and Energy Shield'), {
+    increasedArmour: 30,
+    increasedEnergyShield: 30,
+  });
+  assert.deepEqual(
+    armourParser.parseDefenceModText('18% increased Armour, Evasion and Energy Shield'),
+    { increasedArmour: 18, increasedEvasion: 18, increasedEnergyShield: 18 }
+  );
+  // Not local defences.
+  assert.deepEqual(armourParser.parseDefenceModText('40% increased Energy Shield Recharge Rate'), {});
+  assert.deepEqual(armourParser.parseDefenceModText('+85 to maximum Life'), {});
+});
+
+test('reverse engineers a hybrid body armour base and round-trips its defences', () => {
+  const parsed = armourParser.parseArmourRow(loadFixtureRow('hybrid-body-armour.html'));
+
+  assert.deepEqual(parsed.final, { armour: 570, evasion: 0, energyShield: 111 });
+  assert.equal(parsed.mods.increasedArmour, 128);
+  assert.equal(parsed.runeMods.increasedEnergyShield, 18);
+  assert.equal(parsed.itemClass, 'Armour');
+
+  const base = armourDefence.reverseEngineerDefenceBase(parsed.final, parsed.mods);
+  assertClose(base.baseArmour, 200);
+  assertClose(base.baseEnergyShield, 60);
+  assert.equal(base.baseEvasion, 0);
+
+  const result = armourDefence.calcDefences(armourDefence.buildDefenceInputs(base, parsed.mods));
+  assertClose(result.armour, 570);
+  assertClose(result.energyShield, 111);
+  assertClose(armourDefence.projectDefencesAtQuality(base, parsed.mods, 20).totalDefence, 817.2);
+});
+
+test('assumes one rune socket on armour other than body armour without socket markup', () => {
+  const row = loadFixtureRow('hybrid-body-armour.html');
+  row.querySelector('.sockets').remove();
+  assert.equal(armourParser.parseArmourRow(row).runeSlotCount, 2);
+
+  row.querySelector('.typeLine .lc').textContent = 'Soldier Greathelm';
+  const helmet = armourParser.parseArmourRow(row);
+  assert.equal(helmet.itemClass, 'Helmet');
+  assert.equal(helmet.runeSlotCount, 1);
+});
+
+test('fills armour sockets with armour runes only', () => {
+  const parsed = armourParser.parseAndReverseEngineerArmour(loadFixtureRow('hybrid-body-armour.html'));
+  const best = runeOptions.computeBestRuneVariant(
+    parsed.base,
+    parsed.mods,
+    parsed.runeMods,
+    parsed.runeSlotCount,
+    armourDefence.calcDefences,
+    {
+      itemClass: parsed.itemClass,
+      buildInput: armourDefence.buildDefenceInputs,
+      score: (result) => result.totalDefence,
+    }
+  );
+
+  assert.deepEqual(best.rune.configuration, { 'greater-iron-armour': 2 });
+  // 250 AR at 146% increased, 75 ES at 66% increased.
+  assertClose(best.result.armour, 615);
+  assertClose(best.result.energyShield, 124.5);
+});
+
+test('evaluates armour rows as defence per divine', () => {
+  const row = loadFixtureRow('hybrid-body-armour.html');
+  const value = content.evaluateRowValue(row);
+
+  assert.equal(content.isArmour(row), true);
+  assert.equal(value.kind, 'defence');
+  assert.equal(value.label, 'AR+ES');
+  assert.equal(value.defence, 681);
+  assertClose(value.displayDefence, 739.5);
+  // 2 div plus two 2 ex runes.
+  assertClose(value.ratio, 739.5 / 2.02, 0.01);
+  assert.equal(content.isArmour(loadFixtureRow('obliterator-bow.html')), false);
+});
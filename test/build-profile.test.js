@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, loadFixtureRow } = require('./helpers/load-extension');
+
+const { buildProfile, weaponDps, settings, content } = loadExtension();
+
+function assertClose(actual, expected, tolerance = 0.05) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+const PROFILE_TEXT = JSON.stringify({
+  name: 'Conversion test',
+  skillTags: ['Attack'],
+  globals: {
+    increasedPhysical: 100,
+    increasedLightning: 50,
+    increasedProjectile: 20,
+    physToLightning: 50,
+    increasedAttackSpeed: 50,
+    increasedCritChance: 100,
+    critDamageBonus: 50,
+  },
+});
+
+test('parses a JSON build profile and rejects anything else', () => {
+  const profile = buildProfile.parseBuildProfile(PROFILE_TEXT);
+
+  assert.equal(profile.name, 'Conversion test');
+  assert.deepEqual(profile.skillTags, ['attack']);
+  assert.equal(profile.globals.damageEffectiveness, 100);
+  assert.equal(profile.globals.increasedFire, 0);
+  assert.throws(() => buildProfile.parseBuildProfile('eNrtfVtz2zi'), /Path of Building/);
+  assert.throws(() => buildProfile.parseBuildProfile('{ "name": '), /Invalid JSON/);
+  assert.throws(() => buildProfile.parseBuildProfile('  '), /empty/);
+});
+
+test('scales conversion down to 100% and applies tag-scoped increases by skill tag', () => {
+  const profile = buildProfile.sanitizeBuildProfile({
+    skillTags: ['attack', 'projectile'],
+    globals: { physToFire: 100, physToCold: 100, increasedProjectile: 20, increasedMelee: 30 },
+  });
+
+  assert.equal(profile.globals.physToFire, 50);
+  assert.equal(profile.globals.physToCold, 50);
+  const build = buildProfile.toBuildModifiers(profile);
+  assert.equal(build.increasedPhys, 20);
+  assert.equal(build.increasedCold, 20);
+});
+
+test('applies build globals on top of local weapon stats', () => {
+  const input = { basePhysMin: 100, basePhysMax: 100, baseAps: 1 };
+  const generic = weaponDps.calcWeaponDps(input);
+  const build = buildProfile.toBuildModifiers(buildProfile.parseBuildProfile(PROFILE_TEXT));
+  const result = weaponDps.calcWeaponDps({ ...input, build });
+
+  assertClose(generic.buildDps, generic.totalDpsWithCrit, 1e-9);
+  // 50 phys x2 + 50 converted lightning x1.5, at 1.5 APS, 10% crit for 200%.
+  assertClose(result.buildDps, 175 * 1.5 * 1.1, 1e-6);
+  assert.equal(result.totalDps, generic.totalDps);
+});
+
+test('shows and ranks by DPS in your build once a profile is imported', () => {
+  const row = loadFixtureRow('obliterator-bow.html');
+  try {
+    content.applySettings(settings.sanitizeSettings({ metric: 'build' }));
+    const generic = content.evaluateRowValue(row);
+    assert.equal(generic.buildDps, null);
+
+    content.applySettings(
+      settings.sanitizeSettings({ metric: 'build', buildProfile: JSON.parse(PROFILE_TEXT) })
+    );
+    const value = content.evaluateRowValue(row);
+    assert.ok(value.buildDps > generic.dps);
+    assertClose(value.dps, value.buildDps, 1e-9);
+  } finally {
+    content.applySettings(settings.sanitizeSettings(null));
+  }
+});
@@ -0,0 +1,174 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, loadFixtureRow } = require('./helpers/load-extension');
+const { Document } = require('./helpers/dom-shim');
+
+const { content, settings } = loadExtension();
+
+test('reads listed DPS and price from the row', () => {
+  const row = loadFixtureRow('obliterator-bow.html');
+
+  assert.equal(content.getDps(row), 465.75);
+  assert.deepEqual(content.getPrice(row), { amount: 50, currency: 'exalted' });
+});
+
+test('projects DPS with Greater Iron runes in every socket', () => {
+  const iron = content.projectDpsWithIronRunes(loadFixtureRow('obliterator-bow.html'));
+
+  assert.equal(iron.ok, true);
+  assert.equal(iron.dps, 465.75);
+  assert.equal(iron.runeSlots, 2);
+  // 18% from the listed rune becomes 2x18%.
+  assert.ok(Math.abs(iron.projectedDps - 495.69) < 0.05, `projected ${iron.projectedDps}`);
+});
+
+test('projects Iron runes into a single elemental weapon socket', () => {
+  const iron = content.projectDpsWithIronRunes(loadFixtureRow('elemental-crossbow.html'));
+
+  assert.equal(iron.ok, true);
+  assert.equal(iron.runeSlots, 1);
+  assert.ok(Math.abs(iron.projectedDps - 200.14) < 0.05, `projected ${iron.projectedDps}`);
+});
+
+test('projects Iron runes with the selected metric and quality normalization', () => {
+  const row = loadFixtureRow('elemental-crossbow.html');
+  const listed = content.projectDpsWithIronRunes(row).projectedDps;
+
+  try {
+    content.applySettings(settings.sanitizeSettings({ metric: 'quality' }));
+    const projection = content.projectBestRunes(row);
+    const iron = content.projectDpsWithIronRunes(row, projection);
+    assert.equal(projection.evalMods.quality, 20);
+    assert.ok(iron.projectedDps > listed, `${iron.projectedDps} > ${listed}`);
+
+    content.applySettings(settings.sanitizeSettings({ metric: 'phys' }));
+    const phys = content.projectDpsWithIronRunes(row);
+    assert.equal(phys.projectedDps, phys.projected.physDps);
+  } finally {
+    content.applySettings(settings.sanitizeSettings(null));
+  }
+});
+
+test('does not project corrupted items past their current quality', () => {
+  const projection = content.projectBestRunes(loadFixtureRow('corrupted.html'));
+
+  assert.equal(projection.ok, true);
+  assert.equal(projection.qualityProjection.quality, 8);
+  assert.equal(projection.qualityProjection.corrupted, true);
+  assert.equal(projection.qualityProjection.normal, null);
+});
+
+test('flags no base mismatch for the fixture corpus', () => {
+  for (const name of ['obliterator-bow.html', 'elemental-crossbow.html', 'corrupted.html', 'missing-sockets.html']) {
+    const projection = content.projectBestRunes(loadFixtureRow(name));
+    assert.equal(projection.ok, true, name);
+    assert.ok(projection.knownBase, `${name}: base type detected`);
+    assert.equal(projection.baseCheck.matches, true, name);
+  }
+});
+
+test('evaluates rows and renders the panel under an injected root', () => {
+  const doc = new Document();
+  const results = doc.createElement('div');
+  doc.body.appendChild(results);
+  for (const name of ['obliterator-bow.html', 'elemental-crossbow.html']) {
+    results.appendChild(loadFixtureRow(name));
+  }
+
+  const evaluated = content.processAllRows(results);
+
+  assert.deepEqual(evaluated.map((v) => v.id), ['obliterator-1', 'elemental-1']);
+  assert.equal(results.querySelectorAll('.row[data-poe-value-evaluated="true"]').length, 2);
+  const panel = doc.getElementById('poe2deal-panel');
+  assert.ok(panel, 'panel is added to the injected document');
+  assert.match(panel.textContent, /#1: 1835\.89 .*#2: 37\.33/);
+});
+
+test('processes added and removed rows incrementally from the row cache', () => {
+  const doc = new Document();
+  const results = doc.body.appendChild(doc.createElement('div'));
+  const obliterator = results.appendChild(loadFixtureRow('obliterator-bow.html'));
+
+  assert.deepEqual(content.processAllRows(results).map((v) => v.id), ['obliterator-1']);
+
+  // Cached rows are not re-parsed: a changed DPS only shows after a full re-evaluation.
+  obliterator.querySelector('[data-field="dps"] .colourDefault').textContent = '1.00';
+  assert.equal(content.processAllRows(results)[0].dps, 465.75);
+
+  const crossbow = results.appendChild(loadFixtureRow('elemental-crossbow.html'));
+  assert.equal(content.addRows([crossbow]), true);
+  assert.equal(crossbow.getAttribute('data-poe-value-evaluated'), 'true');
+  assert.equal(content.addRows([crossbow]), false, 'already evaluated and badged');
+
+  obliterator.remove();
+  assert.equal(content.removeRows([obliterator]), true);
+  assert.deepEqual(content.processAllRows(results).map((v) => v.id), ['elemental-1']);
+
+  results.appendChild(obliterator);
+  content.reevaluateAllRows(results);
+  assert.equal(content.processAllRows(results).find((v) => v.id === 'obliterator-1').dps, 1);
+});
+
+test('tells its own badge nodes apart from trade-site markup', () => {
+  const doc = new Document();
+  const results = doc.body.appendChild(doc.createElement('div'));
+  const row = results.appendChild(loadFixtureRow('obliterator-bow.html'));
+  content.processAllRows(results);
+
+  assert.equal(content.isOwnNode(row.querySelector('.poe-value-evaluator-badge')), true);
+  assert.equal(content.isOwnNode(row.querySelector('.price')), false);
+});
+
+test('pins weapons from their badge into the comparison tray', () => {
+  const doc = new Document();
+  const results = doc.body.appendChild(doc.createElement('div'));
+  const bow = results.appendChild(loadFixtureRow('obliterator-bow.html'));
+  const crossbow = results.appendChild(loadFixtureRow('elemental-crossbow.html'));
+  content.reevaluateAllRows(results);
+
+  bow.querySelector('.poe-value-evaluator-pin').click();
+  crossbow.querySelector('.poe-value-evaluator-pin').click();
+
+  const tray = doc.getElementById('poe2deal-compare');
+  assert.ok(tray, 'tray is added once something is pinned');
+  assert.equal(tray.querySelectorAll('thead th').length, 3);
+  assert.match(tray.textContent, /Site DPS465\.75.*\(-/);
+  assert.ok(tray.querySelector('.poe2deal-worse'), 'lower DPS than the first pin is highlighted');
+  assert.ok(bow.querySelector('.poe-value-evaluator-pin--on'));
+
+  // Pins are snapshots: they stay when the row scrolls away.
+  bow.remove();
+  content.removeRows([bow]);
+  assert.equal(tray.querySelectorAll('thead th').length, 3);
+
+  tray.querySelector('[data-action="unpin"][data-id="elemental-1"]').click();
+  assert.equal(crossbow.querySelector('.poe-value-evaluator-pin--on'), null);
+  tray.querySelector('[data-action="clear"]').click();
+  assert.equal(tray.style.display, 'none');
+});
+
+test('exports every evaluated listing as CSV and JSON', () => {
+  const doc = new Document();
+  const results = doc.body.appendChild(doc.createElement('div'));
+  for (const fixture of ['obliterator-bow.html', 'spell-wand.html', 'hybrid-body-armour.html']) {
+    results.appendChild(loadFixtureRow(fixture));
+  }
+  content.reevaluateAllRows(results);
+
+  const { listings } = JSON.parse(content.exportListings('json'));
+  assert.deepEqual(listings.map((l) => l.kind), ['weapon', 'spell', 'defence']);
+  const bow = listings[0];
+  assert.equal(bow.name, 'Storm Thirst');
+  assert.equal(bow.stats.physMax, 521);
+  assert.ok(Math.abs(bow.base.basePhysMin - 62) < 0.05);
+  assert.equal(bow.runes.recommended, '2x Greater Iron');
+  assert.equal(bow.ratio.current, 465.75 / 0.25);
+  assert.ok(bow.mods.includes('18% increased Physical Damage (rune)'));
+
+  const [header, ...rows] = content.exportListings('csv').trim().split('\r\n');
+  assert.equal(rows.length, 3);
+  assert.match(header, /^id,kind,name,typeLine,.*,stats\.physMin,.*,base\.basePhysMin,.*,mods/);
+  assert.match(rows[0], /^obliterator-1,weapon,Storm Thirst,Obliterator Bow,Bow,rare,false,DPS,465\.75,/);
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/load-extension');
+
+const { weaponParser, weaponDps, craftingPotential } = loadExtension();
+
+test('projects smaller flat damage crafts onto one-handed bases', () => {
+  const base = { basePhysMin: 20, basePhysMax: 40, baseAps: 1.4, baseCritChance: 5 };
+  // The %-phys prefix is already there, so the open prefix takes flat damage.
+  const affixes = { openPrefixes: 1, openSuffixes: 0, groups: ['increasedPhys'] };
+  const project = (itemClass) =>
+    craftingPotential.projectCraftedDps(
+      base, weaponParser.emptyModifiers(), affixes, weaponDps.calcWeaponDps,
+      weaponDps.buildWeaponInputs, { itemClass, score: (result) => result.physDps }
+    );
+
+  const twoHand = project('Two Hand Mace');
+  const oneHand = project('One Hand Mace');
+
+  assert.equal(twoHand.added[0].label, 'Adds 28-48 phys');
+  assert.equal(oneHand.added[0].label, 'Adds 14-24 phys');
+  assert.ok(oneHand.dps < twoHand.dps, `${oneHand.dps} < ${twoHand.dps}`);
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/load-extension');
+
+const { dealPanel } = loadExtension();
+
+const ENTRIES = [
+  { id: 'cheap', ratio: 900, dps: 300, displayDps: 320, bestDps: 330, priceNormalized: 0.3, priceCurrency: 'exalted', runeSlotCount: 1 },
+  { id: 'strong', ratio: 400, dps: 480, displayDps: 490, bestDps: 560, priceNormalized: 1.2, priceCurrency: 'divine', runeSlotCount: 2 },
+  { id: 'value', ratio: 600, dps: 450, displayDps: 520, bestDps: 525, priceNormalized: 0.8, priceCurrency: 'exalted', runeSlotCount: 2 },
+  { id: 'spell', ratio: 700, dps: 90, displayDps: 90, priceNormalized: 0.1, priceCurrency: 'exalted', runeSlotCount: 0 },
+  { id: 'unpriced', ratio: null, dps: 999, displayDps: 999, bestDps: 999 },
+];
+
+function ids(settings) {
+  return dealPanel.filterAndSortEntries(ENTRIES, settings).map((e) => e.id);
+}
+
+test('sorts by the best and the recommended rune mix separately', () => {
+  assert.deepEqual(ids({ sortBy: 'ratio' }), ['cheap', 'spell', 'value', 'strong']);
+  assert.deepEqual(ids({ sortBy: 'bestDps' }), ['strong', 'value', 'cheap', 'spell']);
+  assert.deepEqual(ids({ sortBy: 'recommendedDps' }), ['value', 'strong', 'cheap', 'spell']);
+  assert.deepEqual(ids({ sortBy: 'price' }), ['spell', 'cheap', 'value', 'strong']);
+});
+
+test('filters by currency, minimum DPS, maximum price and rune slots', () => {
+  assert.deepEqual(ids({ currency: 'exalted' }), ['cheap', 'spell', 'value']);
+  assert.deepEqual(ids({ minDps: 400 }), ['value', 'strong']);
+  assert.deepEqual(ids({ maxPrice: 0.5 }), ['cheap', 'spell']);
+  assert.deepEqual(ids({ runeSlots: 2 }), ['value', 'strong']);
+  assert.deepEqual(ids({ topN: 2, sortBy: 'unknown' }), ['cheap', 'spell']);
+});
@@ -0,0 +1,439 @@
+/**
+ * Minimal DOM for running the parsers on saved trade-site HTML under Node.
+ *
+ * Supports what the extension's parsing code uses: an HTML parser for well-formed
+ * markup, textContent, attributes, classList, closest/matches and querySelector(All)
+ * with tag, #id, .class and [attr], [attr="v"], [attr^="v"], [attr*="v"], [attr$="v"]
+ * selectors joined by descendant or child (>) combinators and comma groups.
+ *
+ * Building badges and the panel additionally needs createElement, append/insertBefore,
+ * innerHTML/textContent setters and event listeners; layout (style, scrolling) is a no-op.
+ */
+
+'use strict';
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+class Node {
+  constructor(ownerDocument = null) {
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get parentElement() {
+    return this.parentNode instanceof Element ? this.parentNode : null;
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get textContent() {
+    return this.childNodes.map((child) => child.textContent).join('');
+  }
+
+  set textContent(text) {
+    this.childNodes = [];
+    if (text !== '') this.appendChild(new Text(String(text), this.ownerDocument));
+  }
+
+  insertBefore(child, reference) {
+    if (!reference) return this.appendChild(child);
+    this.appendChild(child);
+    this.childNodes.pop();
+    this.childNodes.splice(this.childNodes.indexOf(reference), 0, child);
+    return child;
+  }
+
+  appendChild(child) {
+    if (child.parentNode) {
+      const siblings = child.parentNode.childNodes;
+      siblings.splice(siblings.indexOf(child), 1);
+    }
+    child.parentNode = this;
+    this.childNodes.push(child);
+    return child;
+  }
+
+  append(...nodes) {
+    for (const node of nodes) {
+      this.appendChild(node instanceof Node ? node : new Text(String(node), this.ownerDocument));
+    }
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    const siblings = this.parentNode.childNodes;
+    siblings.splice(siblings.indexOf(this), 1);
+    this.parentNode = null;
+  }
+}
+
+class Text extends Node {
+  constructor(text, ownerDocument = null) {
+    super(ownerDocument);
+    this.data = text;
+  }
+
+  get nodeType() {
+    return 3;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(text) {
+    this.data = String(text);
+  }
+}
+
+class ClassList {
+  constructor(element) {
+    this.element = element;
+  }
+
+  get values() {
+    return (this.element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+  }
+
+  contains(name) {
+    return this.values.includes(name);
+  }
+
+  add(...names) {
+    const values = this.values;
+    for (const name of names) if (!values.includes(name)) values.push(name);
+    this.element.setAttribute('class', values.join(' '));
+  }
+
+  remove(...names) {
+    this.element.setAttribute('class', this.values.filter((v) => !names.includes(v)).join(' '));
+  }
+
+  toggle(name, force) {
+    const on = force === undefined ? !this.contains(name) : !!force;
+    if (on) this.add(name);
+    else this.remove(name);
+    return on;
+  }
+}
+
+class Element extends Node {
+  constructor(tagName, ownerDocument = null) {
+    super(ownerDocument);
+    this.tagName = tagName.toUpperCase();
+    this.attributes = new Map();
+    this.classList = new ClassList(this);
+    this.style = {};
+    this.listeners = {};
+  }
+
+  get nodeType() {
+    return 1;
+  }
+
+  get children() {
+    return this.childNodes.filter((child) => child instanceof Element);
+  }
+
+  get options() {
+    return this.querySelectorAll('option');
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  set id(value) {
+    this.setAttribute('id', value);
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  set className(value) {
+    this.setAttribute('class', value);
+  }
+
+  get title() {
+    return this.getAttribute('title') || '';
+  }
+
+  set title(value) {
+    this.setAttribute('title', value);
+  }
+
+  set innerHTML(html) {
+    this.childNodes = [];
+    parseInto(this, html);
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter((l) => l !== listener);
+  }
+
+  /**
+   * Call listeners on this element and its ancestors (bubbling only, until stopPropagation).
+   */
+  dispatchEvent(event) {
+    let stopped = false;
+    event.target = event.target || this;
+    event.preventDefault = event.preventDefault || (() => {});
+    event.stopPropagation = () => {
+      stopped = true;
+    };
+    for (let el = this; el && !stopped; el = el.parentNode) {
+      for (const listener of el.listeners?.[event.type] || []) listener(event);
+    }
+    return true;
+  }
+
+  click() {
+    this.dispatchEvent({ type: 'click', button: 0 });
+  }
+
+  scrollIntoView() {}
+
+  getBoundingClientRect() {
+    return { left: 0, top: 0, width: 0, height: 0 };
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+
+  matches(selector) {
+    return parseSelectorGroup(selector).some((complex) => matchesComplex(this, complex));
+  }
+
+  closest(selector) {
+    const group = parseSelectorGroup(selector);
+    for (let el = this; el; el = el.parentElement) {
+      if (group.some((complex) => matchesComplex(el, complex))) return el;
+    }
+    return null;
+  }
+
+  querySelectorAll(selector) {
+    const group = parseSelectorGroup(selector);
+    const out = [];
+    (function walk(node) {
+      for (const child of node.children) {
+        if (group.some((complex) => matchesComplex(child, complex))) out.push(child);
+        walk(child);
+      }
+    })(this);
+    return out;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+// ----- Selectors -----
+
+/**
+ * Split on top-level commas, then each complex selector into compounds and combinators.
+ * @returns {Array<Array<{ combinator: string, compound: object }>>}
+ */
+function parseSelectorGroup(selector) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const ch of selector) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '[') {
+      depth++;
+    } else if (ch === ']') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.map((part) => parseComplex(part.trim()));
+}
+
+function parseComplex(selector) {
+  const tokens = selector.match(/(?:\[[^\]]*\]|[^\s>\[])+|>/g) || [];
+  const steps = [];
+  let combinator = ' ';
+  for (const token of tokens) {
+    if (token === '>') {
+      combinator = '>';
+      continue;
+    }
+    steps.push({ combinator, compound: parseCompound(token) });
+    combinator = ' ';
+  }
+  return steps;
+}
+
+function parseCompound(text) {
+  const compound = { tag: null, id: null, classes: [], attrs: [] };
+  const re = /([a-zA-Z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:([\^*$]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]|\*/g;
+  let m;
+  while ((m = re.exec(text))) {
+    if (m[1]) compound.tag = m[1].toUpperCase();
+    else if (m[2]) compound.id = m[2];
+    else if (m[3]) compound.classes.push(m[3]);
+    else if (m[4]) compound.attrs.push({ name: m[4], op: m[5] || null, value: m[6] ?? m[7] ?? m[8] ?? '' });
+  }
+  return compound;
+}
+
+function matchesCompound(el, compound) {
+  if (compound.tag && el.tagName !== compound.tag) return false;
+  if (compound.id && el.id !== compound.id) return false;
+  for (const cls of compound.classes) if (!el.classList.contains(cls)) return false;
+  for (const { name, op, value } of compound.attrs) {
+    const actual = el.getAttribute(name);
+    if (actual == null) return false;
+    if (op === '=' && actual !== value) return false;
+    if (op === '^=' && !actual.startsWith(value)) return false;
+    if (op === '*=' && !actual.includes(value)) return false;
+    if (op === '$=' && !actual.endsWith(value)) return false;
+  }
+  return true;
+}
+
+function matchesComplex(el, steps) {
+  if (!steps.length) return false;
+  return matchFrom(el, steps, steps.length - 1);
+}
+
+function matchFrom(el, steps, index) {
+  if (!matchesCompound(el, steps[index].compound)) return false;
+  if (index === 0) return true;
+  const { combinator } = steps[index];
+  if (combinator === '>') {
+    return !!el.parentElement && matchFrom(el.parentElement, steps, index - 1);
+  }
+  for (let ancestor = el.parentElement; ancestor; ancestor = ancestor.parentElement) {
+    if (matchFrom(ancestor, steps, index - 1)) return true;
+  }
+  return false;
+}
+
+// ----- HTML parsing -----
+
+/**
+ * Parse an HTML fragment into `parent`. Expects well-formed markup (as saved from the
+ * trade site's rendered DOM); unclosed elements are closed at their parent's end tag.
+ */
+function parseInto(parent, html) {
+  const stack = [parent];
+  const re = /<!--[\s\S]*?-->|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+|<)/g;
+  let m;
+  while ((m = re.exec(html))) {
+    const top = stack[stack.length - 1];
+    if (m[1]) {
+      const tag = m[1].toUpperCase();
+      const index = stack.map((n) => n.tagName).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+    } else if (m[2]) {
+      const el = new Element(m[2], parent.ownerDocument || parent);
+      const attrRe = /([^\s=>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+      let a;
+      while ((a = attrRe.exec(m[3] || ''))) {
+        el.setAttribute(a[1].toLowerCase(), decodeEntities(a[2] ?? a[3] ?? a[4] ?? ''));
+      }
+      top.appendChild(el);
+      if (!m[4] && !VOID_TAGS.has(m[2].toLowerCase())) stack.push(el);
+    } else if (m[5]) {
+      top.appendChild(new Text(decodeEntities(m[5]), parent.ownerDocument || parent));
+    }
+  }
+  return parent;
+}
+
+class Document extends Element {
+  constructor() {
+    super('#document');
+    this.documentElement = this.appendChild(new Element('html', this));
+    this.body = this.documentElement.appendChild(new Element('body', this));
+    this.readyState = 'complete';
+    this.location = { pathname: '/' };
+  }
+
+  get nodeType() {
+    return 9;
+  }
+
+  createElement(tagName) {
+    return new Element(tagName, this);
+  }
+
+  createTextNode(text) {
+    return new Text(text, this);
+  }
+
+  getElementById(id) {
+    return this.querySelector(`#${id}`);
+  }
+}
+
+/**
+ * Parse HTML into a fresh document's body.
+ *
+ * @param {string} html
+ * @returns {Document}
+ */
+function parseHTML(html) {
+  const doc = new Document();
+  parseInto(doc.body, html);
+  return doc;
+}
+
+module.exports = {
+  Node,
+  Text,
+  Element,
+  Document,
+  parseHTML,
+};
@@ -0,0 +1,71 @@
+/**
+ * Load the content scripts (in manifest order) into Node, as the browser would,
+ * plus helpers for reading fixture rows.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Document, parseHTML } = require('./dom-shim');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+let loaded = null;
+
+// Page wiring (storage, MutationObserver); browser-only.
+const BROWSER_ONLY = new Set(['bootstrap.js']);
+
+/**
+ * Require every content script once. Modules register on window.PoeValueEvaluator
+ * like in the browser.
+ *
+ * @returns {Object} window.PoeValueEvaluator
+ */
+function loadExtension() {
+  if (loaded) return loaded;
+
+  global.window = {
+    PoeValueEvaluator: {},
+    location: { pathname: '/trade2/search/poe2/test' },
+    setTimeout,
+    clearTimeout,
+  };
+  global.document = new Document();
+
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  for (const file of manifest.content_scripts[0].js) {
+    if (!BROWSER_ONLY.has(file)) require(path.join(ROOT, file));
+  }
+
+  loaded = global.window.PoeValueEvaluator;
+  return loaded;
+}
+
+/**
+ * Parse a fixture file and return its `.row` element.
+ *
+ * @param {string} name - File name in test/fixtures
+ */
+function loadFixtureRow(name) {
+  const html = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+  const row = parseHTML(html).querySelector('.row');
+  if (!row) throw new Error(`No .row in fixture ${name}`);
+  return row;
+}
+
+/**
+ * Read a text fixture (e.g. item text copied in game).
+ *
+ * @param {string} name - File name in test/fixtures
+ */
+function loadFixtureText(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+module.exports = {
+  loadExtension,
+  loadFixtureRow,
+  loadFixtureText,
+};
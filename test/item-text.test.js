@@ -0,0 +1,140 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, loadFixtureRow, loadFixtureText } = require('./helpers/load-extension');
+
+const { weaponParser, weaponDps, itemText } = loadExtension();
+
+function assertClose(actual, expected, tolerance = 0.05) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+test('writes the Obliterator Bow as game item text', () => {
+  const text = itemText.serializeItemText(
+    weaponParser.parseWeaponRow(loadFixtureRow('obliterator-bow.html'))
+  );
+
+  assert.match(text, /^Item Class: Bows\nRarity: Rare\nStorm Thirst\nObliterator Bow\n--------\n/);
+  assert.match(text, /\nQuality: \+20% \(augmented\)\nPhysical Damage: 289-521 \(augmented\)\n/);
+  assert.match(text, /\nAttacks per Second: 1\.15\n--------\nSockets: S S\n/);
+  assert.match(text, /\n18% increased Physical Damage \(rune\)\n/);
+  assert.match(text, /--------\n162% increased Physical Damage\n/);
+});
+
+test('reads serialized listings back into the same weapon', () => {
+  for (const fixture of ['obliterator-bow.html', 'elemental-crossbow.html', 'corrupted.html']) {
+    const parsed = weaponParser.parseWeaponRow(loadFixtureRow(fixture));
+    const back = itemText.parseItemText(itemText.serializeItemText(parsed));
+
+    assert.deepEqual(back.final, parsed.final, fixture);
+    assert.deepEqual(back.modLines, parsed.modLines, fixture);
+    assert.deepEqual(back.affixes, parsed.affixes, fixture);
+    assert.equal(back.runeSlotCount, parsed.runeSlotCount, fixture);
+    assert.equal(back.itemClass, parsed.itemClass, fixture);
+    assert.deepEqual(back.mods, parsed.mods, fixture);
+    assert.deepEqual(back.runeMods, parsed.runeMods, fixture);
+  }
+});
+
+test('evaluates pasted game item text', () => {
+  const parsed = itemText.parseAndReverseEngineerItemText(
+    [
+      'Item Class: Bows',
+      'Rarity: Rare',
+      'Dusk Song',
+      'Obliterator Bow',
+      '--------',
+      'Quality: +20% (augmented)',
+      'Physical Damage: 289-521 (augmented)',
+      'Critical Hit Chance: 5.00%',
+      'Attacks per Second: 1.15',
+      '--------',
+      'Requires: Level 78, 163 Dex',
+      '--------',
+      'Sockets: S S',
+      '--------',
+      'Item Level: 81',
+      '--------',
+      '18% increased Physical Damage (rune)',
+      '--------',
+      '162% increased Physical Damage',
+      'Adds 24 to 40 Physical Damage (desecrated)',
+    ].join('\r\n')
+  );
+
+  assert.equal(parsed.name, 'Dusk Song');
+  assert.equal(parsed.typeLine, 'Obliterator Bow');
+  assert.equal(parsed.runeSlotCount, 2);
+  assert.equal(parsed.runeMods.increasedPhys, 18);
+  assert.deepEqual(parsed.modLines.map((line) => line.source), ['rune', 'explicit', 'desecrated']);
+  assert.equal(parsed.affixes.openPrefixes, 1);
+  assert.equal(parsed.affixes.openSuffixes, 3);
+  assertClose(parsed.base.basePhysMin, 62);
+  assertClose(
+    weaponDps.calcWeaponDps(weaponDps.buildWeaponInputs(parsed.base, parsed.mods)).totalDps,
+    465.75,
+    0.5
+  );
+});
+
+test('evaluates item text with the listing pipeline and an asking price', () => {
+  const parsed = weaponParser.parseWeaponRow(loadFixtureRow('obliterator-bow.html'));
+  const evaluation = itemText.evaluateItemText(itemText.serializeItemText(parsed), {
+    costOf: (rune) => rune.cost.amount / (rune.cost.currency === 'divine' ? 1 : 200),
+    priceInDivine: 0.25,
+  });
+
+  assertClose(evaluation.dps, 465.75, 0.5);
+  assertClose(evaluation.ratio, 1863, 2);
+  assertClose(evaluation.breakdown.total, evaluation.dps, 0.001);
+  assert.deepEqual(evaluation.best.configuration, { 'thane-summer': 1, 'thane-spring': 1 });
+  assertClose(evaluation.best.dps, 503.66, 0.05);
+  assert.equal(evaluation.best.cost, 8);
+  assertClose(evaluation.bestRatio, evaluation.best.dps / 8.25, 0.001);
+});
+
+test('reads elemental damage from a combined Elemental Damage line', () => {
+  const listed = weaponParser.parseWeaponRow(loadFixtureRow('elemental-crossbow.html'));
+  const pasted = itemText.parseItemText(loadFixtureText('elemental-crossbow.txt'));
+
+  // The ranges carry no element; the "Adds … Lightning Damage" mod tells the second one.
+  assert.deepEqual(pasted.final, listed.final);
+  assert.equal(pasted.runeSlotCount, 1);
+
+  const coldLightning = itemText.parseItemText(
+    'Item Class: Crossbows\nRarity: Rare\nSiege Crossbow\n--------\n' +
+      'Elemental Damage: 5-9 (augmented), 2-40 (augmented)\nAttacks per Second: 1.60\n--------\n' +
+      'Adds 2 to 40 Lightning Damage\nAdds 5 to 9 Cold Damage'
+  );
+  assert.deepEqual(
+    [coldLightning.final.fireMax, coldLightning.final.coldMax, coldLightning.final.lightningMax],
+    [0, 9, 40]
+  );
+
+  const tagged = itemText.parseItemText(
+    'Item Class: Crossbows\nRarity: Rare\nSiege Crossbow\n--------\n' +
+      'Elemental Damage: 2-40 (lightning)\nAttacks per Second: 1.60'
+  );
+  assert.equal(tagged.final.lightningMax, 40);
+  assert.equal(tagged.final.fireMax, 0);
+});
+
+test('names sword and axe item classes as the game does', () => {
+  const parsed = weaponParser.parseWeaponRow(loadFixtureRow('obliterator-bow.html'));
+  const text = itemText.serializeItemText({ ...parsed, itemClass: 'Two Hand Axe' });
+
+  assert.match(text, /^Item Class: Two Hand Axes\n/);
+  assert.equal(itemText.parseItemText(text).itemClass, 'Two Hand Axe');
+});
+
+test('returns null for item text that is not a weapon', () => {
+  assert.equal(itemText.parseItemText(''), null);
+  assert.equal(
+    itemText.parseItemText('Item Class: Helmets\nRarity: Magic\nIron Hat\n--------\nArmour: 45'),
+    null
+  );
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/load-extension');
+
+const { listingExport } = loadExtension();
+
+test('writes records as CSV with dotted columns and quoted cells', () => {
+  const csv = listingExport.toCsv([
+    { id: 'a', price: { amount: 50, currency: 'exalted' }, mods: ['Adds 1 to 2 Fire Damage', '+1 "quoted"'] },
+    { id: 'b', ratio: 465.74999999999994, runes: "1x Thane Myrk's Summer, 1x Greater Iron" },
+  ]);
+
+  assert.equal(
+    csv,
+    [
+      'id,price.amount,price.currency,mods,ratio,runes',
+      'a,50,exalted,"Adds 1 to 2 Fire Damage | +1 ""quoted""",,',
+      `b,,,,465.75,"1x Thane Myrk's Summer, 1x Greater Iron"`,
+      '',
+    ].join('\r\n')
+  );
+});
+
+test('keeps spreadsheets from reading mod text as formulas', () => {
+  const csv = listingExport.toCsv([
+    { mods: ['+3 to Level of all Projectile Skills'], note: '=1+1', dps: -4.5 },
+  ]);
+
+  assert.equal(csv, "mods,note,dps\r\n'+3 to Level of all Projectile Skills,'=1+1,-4.5\r\n");
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, loadFixtureRow } = require('./helpers/load-extension');
+
+const { weaponParser, listingHistory } = loadExtension();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function see(history, id, parsed, amount, now) {
+  return listingHistory.recordSighting(history, {
+    id,
+    fingerprint: listingHistory.itemFingerprint(parsed),
+    price: { amount, currency: 'exalted', normalizedAmount: amount / 200 },
+    now,
+  });
+}
+
+test('marks a listing new the first time and counts later sightings', () => {
+  const history = listingHistory.sanitizeHistory(null);
+  const bow = weaponParser.parseWeaponRow(loadFixtureRow('obliterator-bow.html'));
+
+  assert.deepEqual(listingHistory.describeSighting(see(history, 'a', bow, 50, 0)), ['new']);
+  assert.deepEqual(listingHistory.describeSighting(see(history, 'a', bow, 50, DAY)), ['seen 2 times']);
+});
+
+test('recognises the same item under a new listing id as a relist', () => {
+  const history = listingHistory.sanitizeHistory(null);
+  const bow = weaponParser.parseWeaponRow(loadFixtureRow('obliterator-bow.html'));
+
+  see(history, 'a', bow, 50, 0);
+  const status = see(history, 'b', bow, 50, DAY);
+
+  assert.equal(status.firstSeen, 0);
+  assert.deepEqual(listingHistory.describeSighting(status), ['relisted', 'seen 2 times']);
+  // The relist marker stays on later page loads.
+  assert.equal(see(history, 'b', bow, 50, 2 * DAY).relisted, true);
+});
+
+test('keeps showing a price drop after the page view that saw it', () => {
+  const history = listingHistory.sanitizeHistory(null);
+  const bow = weaponParser.parseWeaponRow(loadFixtureRow('obliterator-bow.html'));
+
+  see(history, 'a', bow, 50, 0);
+  assert.equal(see(history, 'a', bow, 40, DAY).priceChange.pct, -20);
+
+  const later = see(history, 'a', bow, 40, 2 * DAY);
+  assert.equal(later.priceChange.from.amount, 50);
+  assert.deepEqual(listingHistory.describeSighting(later), ['price dropped 20%', 'seen 3 times']);
+  assert.equal(history.listings.a.prices.length, 2);
+});
+
+test('does not treat two white items of the same base as one item', () => {
+  const history = listingHistory.sanitizeHistory(null);
+  const white = {
+    name: null,
+    typeLine: 'Obliterator Bow',
+    affixes: { prefixes: [], suffixes: [] },
+    modLines: [],
+  };
+
+  assert.equal(listingHistory.itemFingerprint(white), null);
+  see(history, 'a', white, 50, 0);
+  const other = see(history, 'b', white, 20, DAY);
+
+  assert.deepEqual(listingHistory.describeSighting(other), ['new']);
+  assert.equal(other.priceChange, null);
+});
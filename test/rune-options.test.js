@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, loadFixtureRow } = require('./helpers/load-extension');
+
+const { weaponParser, weaponDps, runeOptions } = loadExtension();
+
+function bestRunesFor(name, options = {}) {
+  const parsed = weaponParser.parseAndReverseEngineer(loadFixtureRow(name));
+  return runeOptions.computeBestRuneVariant(
+    parsed.base,
+    parsed.mods,
+    parsed.runeMods,
+    parsed.runeSlotCount,
+    weaponDps.calcWeaponDps,
+    { itemClass: parsed.itemClass, ...options }
+  );
+}
+
+test('picks one of each Thane rune for the Obliterator Bow', () => {
+  const best = bestRunesFor('obliterator-bow.html');
+
+  assert.deepEqual(best.rune.configuration, { 'thane-summer': 1, 'thane-spring': 1 });
+  assert.ok(Math.abs(best.dps - 503.66) < 0.05, `best DPS ${best.dps}`);
+  // The listed Iron rune is replaced, not stacked.
+  assert.equal(best.modsWithRune.increasedPhys, 162);
+});
+
+test('respects per-item rune limits', () => {
+  const best = bestRunesFor('obliterator-bow.html');
+
+  for (const [id, count] of Object.entries(best.rune.configuration)) {
+    const rune = runeOptions.RUNE_OPTIONS.find((r) => r.id === id);
+    assert.ok(rune.limit == null || count <= rune.limit, `${id} used ${count} times`);
+  }
+});
+
+test('fills the single socket of an elemental crossbow with lightning', () => {
+  const best = bestRunesFor('elemental-crossbow.html');
+
+  assert.deepEqual(best.rune.configuration, { 'thane-spring': 1 });
+  assert.ok(Math.abs(best.dps - 227.2) < 0.05, `best DPS ${best.dps}`);
+});
+
+test('scores rune mixes with a custom metric', () => {
+  const best = bestRunesFor('obliterator-bow.html', {
+    score: (result) => result.physDps,
+  });
+
+  assert.deepEqual(best.rune.configuration, { 'greater-iron': 2 });
+});
+
+test('keeps armour runes off swords, axes and weapons of unknown class', () => {
+  assert.equal(weaponParser.inferItemClass('Expert Shortsword'), 'One Hand Sword');
+  assert.equal(weaponParser.inferItemClass('Dread Axe'), 'One Hand Axe');
+  assert.equal(weaponParser.inferItemClass('Expert Greatsword'), 'Two Hand Sword');
+
+  for (const itemClass of ['One Hand Sword', 'One Hand Axe', null]) {
+    const ids = runeOptions
+      .runesForItemClass(runeOptions.RUNE_OPTIONS, itemClass)
+      .map((rune) => rune.id);
+    assert.ok(ids.includes('greater-iron'), String(itemClass));
+    assert.ok(!ids.includes('greater-iron-armour'), String(itemClass));
+  }
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension } = require('./helpers/load-extension');
+
+const { settings } = loadExtension();
+
+// localStorage stand-in; the settings store falls back to it outside the extension.
+function useLocalStorage(entries = {}) {
+  const data = new Map(Object.entries(entries).map(([k, v]) => [k, JSON.stringify(v)]));
+  window.localStorage = {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  };
+  return data;
+}
+
+test.afterEach(() => {
+  delete window.localStorage;
+});
+
+test('drops out-of-range numbers and unknown keys', () => {
+  const s = settings.sanitizeSettings({
+    metric: 'nonsense',
+    runeTolerancePct: -5,
+    qualityCap: 15,
+    jumpFlashMs: 999999,
+    skillLevelDamagePct: 'lots',
+    panel: { sortBy: 'nonsense', topN: 0, minDps: -1, runeSlots: 'x' },
+  });
+
+  assert.equal(s.metric, 'dps');
+  assert.equal(s.runeTolerancePct, 5);
+  assert.equal(s.qualityCap, null);
+  assert.equal(s.jumpFlashMs, 10000);
+  assert.equal(s.skillLevelDamagePct, 0);
+  assert.equal(s.panel.sortBy, 'ratio');
+  assert.equal(s.panel.topN, 5);
+  assert.equal(s.panel.minDps, null);
+  assert.equal(s.panel.runeSlots, 'any');
+  assert.deepEqual(settings.sanitizeSettings(null), settings.sanitizeSettings({}));
+});
+
+test('keeps valid values', () => {
+  const s = settings.sanitizeSettings({
+    metric: 'quality',
+    runeTolerancePct: 0,
+    qualityCap: 23,
+    skillLevelDamagePct: 12.5,
+    panel: { sortBy: 'bestDps', topN: 10, runeSlots: '2' },
+  });
+
+  assert.equal(s.metric, 'quality');
+  assert.equal(s.runeTolerancePct, 0);
+  assert.equal(s.qualityCap, 23);
+  assert.equal(s.skillLevelDamagePct, 12.5);
+  assert.deepEqual([s.panel.sortBy, s.panel.topN, s.panel.runeSlots], ['bestDps', 10, 2]);
+});
+
+test('migrates per-key settings from older versions once', async () => {
+  const data = useLocalStorage({
+    'poe2deal:metric': 'effective',
+    'poe2deal:rune-tolerance': 10,
+    'poe2deal:quality-cap': 'broken',
+  });
+
+  const loaded = await settings.loadSettings();
+  assert.equal(loaded.metric, 'effective');
+  assert.equal(loaded.runeTolerancePct, 10);
+  assert.equal(loaded.qualityCap, null);
+
+  assert.deepEqual([...data.keys()], [settings.SETTINGS_STORAGE_KEY]);
+  assert.deepEqual(await settings.loadSettings(), loaded);
+});
+
+test('merges saves into the stored settings in order', async () => {
+  useLocalStorage();
+
+  const first = settings.saveSettings({ metric: 'phys' });
+  const second = settings.saveSettings({ runeTolerancePct: 3 });
+  await first;
+  const saved = await second;
+
+  assert.equal(saved.metric, 'phys');
+  assert.equal(saved.runeTolerancePct, 3);
+  assert.deepEqual(await settings.loadSettings(), saved);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, loadFixtureRow } = require('./helpers/load-extension');
+
+const { spellParser, spellWeapon, content } = loadExtension();
+
+function assertClose(actual, expected, tolerance = 0.05) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+test('parses spell levels, spell damage, cast speed and crit mods', () => {
+  assert.deepEqual(spellParser.parseSpellModText('+3 to Level of all Spell Skills'), { spellLevels: 3 });
+  assert.deepEqual(spellParser.parseSpellModText('+2 to Level of all Cold Spell Skills'), {
+    typedSpellLevels: 2,
+  });
+  assert.deepEqual(spellParser.parseSpellModText('35% increased Critical Spell Damage Bonus'), {
+    increasedSpellCritDamage: 35,
+  });
+  assert.deepEqual(spellParser.parseSpellModText('+3 to Level of all Attack Skills'), {});
+  assert.deepEqual(spellParser.parseSpellModText('24% increased Attack Speed'), {});
+});
+
+test('scores a wand from its spell mods with the default weights', () => {
+  const parsed = spellParser.parseSpellWeaponRow(loadFixtureRow('spell-wand.html'));
+
+  assert.equal(parsed.itemClass, 'Wand');
+  const { score, contributions } = spellWeapon.scoreSpellWeapon(parsed.stats);
+  // 2 levels x10 + 89% x0.5 + 45% x0.3 + 24% x0.8 + 60% x0.15
+  assertClose(score, 106.2);
+  assert.deepEqual(
+    contributions.map((c) => c.stat),
+    ['spellLevels', 'increasedSpellDamage', 'increasedTypedDamage', 'increasedCastSpeed', 'increasedSpellCrit']
+  );
+});
+
+test('uses custom weights and ignores invalid ones', () => {
+  const weights = spellWeapon.sanitizeSpellWeights({ spellLevels: 20, increasedCastSpeed: -1 });
+
+  assert.equal(weights.spellLevels, 20);
+  assert.equal(weights.increasedCastSpeed, spellWeapon.DEFAULT_SPELL_WEIGHTS.increasedCastSpeed);
+  const parsed = spellParser.parseSpellWeaponRow(loadFixtureRow('spell-wand.html'));
+  assertClose(spellWeapon.scoreSpellWeapon(parsed.stats, weights).score, 126.2);
+});
+
+test('evaluates wands as spell score per divine and skips attack weapons', () => {
+  const row = loadFixtureRow('spell-wand.html');
+  const value = content.evaluateRowValue(row);
+
+  assert.equal(content.isSpellWeapon(row), true);
+  assert.equal(value.kind, 'spell');
+  // 40 ex at 200 ex per divine.
+  assertClose(value.ratio, 106.2 / 0.2, 0.1);
+  assert.equal(content.isSpellWeapon(loadFixtureRow('obliterator-bow.html')), false);
+  assert.equal(spellParser.parseSpellWeaponRow(loadFixtureRow('hybrid-body-armour.html')), null);
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, loadFixtureRow } = require('./helpers/load-extension');
+
+const { weaponParser, weaponDps, weaponBases } = loadExtension();
+
+function assertClose(actual, expected, tolerance = 0.05) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+function parseFixture(name) {
+  return weaponParser.parseWeaponRow(loadFixtureRow(name));
+}
+
+test('reverse engineers the Obliterator Bow base and round-trips the DPS', () => {
+  const { final, mods, typeLine } = parseFixture('obliterator-bow.html');
+  const { base, reconstructed, matches } = weaponDps.reverseAndVerify(final, mods);
+
+  assert.equal(matches, true);
+  assertClose(base.basePhysMin, 62);
+  assertClose(base.basePhysMax, 115.06);
+  assert.equal(base.baseAps, 1.15);
+  assertClose(base.baseCritChance, 5);
+  // Matches the trade site's DPS: 465.75
+  assertClose(reconstructed.totalDps, 465.75, 0.5);
+  assert.equal(weaponBases.compareWithBase(base, weaponBases.findWeaponBase(typeLine)).matches, true);
+});
+
+test('models extra lightning gain on top of the listed DPS', () => {
+  const { final, mods } = parseFixture('obliterator-bow.html');
+  const { reconstructed } = weaponDps.reverseAndVerify(final, mods);
+
+  assertClose(reconstructed.extraDps, reconstructed.totalDps * 0.2, 0.01);
+  assertClose(reconstructed.effectiveDps, reconstructed.totalDps * 1.2, 0.01);
+});
+
+test('folds skill levels into effective DPS at the per-level value', () => {
+  assert.deepEqual(weaponParser.parseModText('+3 to Level of all Projectile Skills'), {
+    projectileSkillLevels: 3,
+  });
+  assert.deepEqual(weaponParser.parseModText('+1 to Level of all Melee Skills'), { meleeSkillLevels: 1 });
+  assert.deepEqual(weaponParser.parseModText('+2 to Level of all Spell Skills'), {});
+
+  const { final, mods } = parseFixture('obliterator-bow.html');
+  const base = weaponDps.reverseEngineerBase(final, mods);
+  const plain = weaponDps.calcWeaponDps(weaponDps.buildWeaponInputs(base, mods));
+  const levelled = { ...mods, projectileSkillLevels: 3 };
+  const unvalued = weaponDps.calcWeaponDps(weaponDps.buildWeaponInputs(base, levelled));
+  const valued = weaponDps.calcWeaponDps(
+    weaponDps.buildWeaponInputs(base, { ...levelled, skillLevelDamagePct: 10 })
+  );
+
+  assert.equal(unvalued.skillLevels, 3);
+  assertClose(unvalued.effectiveDps, plain.effectiveDps, 0.01);
+  // +3 levels at 10% each: 30% more on top of the extra lightning gain.
+  assertClose(valued.skillLevelDps, plain.effectiveDps * 0.3, 0.01);
+  assertClose(valued.effectiveDps, plain.effectiveDps * 1.3, 0.01);
+  assert.equal(valued.totalDps, plain.totalDps);
+});
+
+test('breaks the Obliterator Bow DPS down by mod source', () => {
+  const { final, mods, runeMods, modSources } = parseFixture('obliterator-bow.html');
+  const base = weaponDps.reverseEngineerBase(final, mods);
+
+  assert.deepEqual(
+    modSources.map((line) => line.source),
+    ['rune', 'explicit', 'explicit', 'explicit', 'explicit']
+  );
+  const sources = [
+    ...modSources.filter((line) => line.source !== 'rune'),
+    { source: 'rune', mods: runeMods },
+    { source: 'quality', mods: { quality: mods.quality } },
+  ];
+  const { total, base: baseShare, parts } = weaponDps.attributeDps(base, sources);
+
+  assertClose(total, 465.75, 0.5);
+  assertClose(baseShare.dps + parts.reduce((sum, part) => sum + part.dps, 0), total, 0.001);
+  assertClose(baseShare.pct + parts.reduce((sum, part) => sum + part.pct, 0), 100, 0.001);
+  assert.ok(parts.find((part) => part.source === 'rune').dps > 0);
+  assert.ok(parts.find((part) => part.source === 'quality').dps > 0);
+  // The extra lightning gain adds no listed DPS.
+  assert.equal(parts.find((part) => /Lightning/.test(part.text)).dps, 0);
+});
+
+test('reverse engineers elemental weapons without counting flat elemental as base', () => {
+  const { final, mods, typeLine } = parseFixture('elemental-crossbow.html');
+  const { base, reconstructed, matches } = weaponDps.reverseAndVerify(final, mods);
+
+  assert.equal(matches, true);
+  assert.equal(base.basePhysMin, 30);
+  assert.equal(base.basePhysMax, 121);
+  assert.equal(base.baseFireMax, 0);
+  assert.equal(base.baseLightningMax, 0);
+  assertClose(base.baseAps, 1.45, 0.01);
+  assertClose(reconstructed.eleDps, 57.6, 0.5);
+  assert.equal(weaponBases.compareWithBase(base, weaponBases.findWeaponBase(typeLine)).matches, true);
+});
+
+test('reverse engineers below-cap quality on corrupted items', () => {
+  const { final, mods } = parseFixture('corrupted.html');
+  const { base, reconstructed, matches } = weaponDps.reverseAndVerify(final, mods);
+
+  assert.equal(matches, true);
+  assertClose(base.basePhysMin, 62);
+  assertClose(base.basePhysMax, 115.09);
+  assertClose(reconstructed.totalDps, 419.18, 0.5);
+});
+
+test('projects under-quality weapons to 20% quality', () => {
+  const { final, mods } = parseFixture('corrupted.html');
+  const base = weaponDps.reverseEngineerBase(final, mods);
+  const at20 = weaponDps.projectAtQuality(base, mods, weaponDps.MAX_NORMAL_QUALITY);
+
+  assertClose(at20.totalDps, 465.75, 0.6);
+});
+
+test('caps crit chance at 100% for the crit-weighted metric', () => {
+  const input = { basePhysMin: 10, basePhysMax: 20, baseAps: 1, baseCritChance: 60, flatCritChance: 70 };
+  const result = weaponDps.calcWeaponDps(input);
+
+  assertClose(result.totalDpsWithCrit, result.effectiveDps * 1.5, 0.001);
+  assertClose(result.buildDps, result.totalDpsWithCrit, 0.001);
+});
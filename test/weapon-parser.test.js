@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtension, loadFixtureRow } = require('./helpers/load-extension');
+
+const { weaponParser } = loadExtension();
+
+test('parses the Obliterator Bow example from DOM_REFERENCE.md', () => {
+  const parsed = weaponParser.parseWeaponRow(loadFixtureRow('obliterator-bow.html'));
+
+  assert.equal(parsed.name, 'Storm Thirst');
+  assert.equal(parsed.typeLine, 'Obliterator Bow');
+  assert.equal(parsed.itemClass, 'Bow');
+  assert.equal(parsed.runeSlotCount, 2);
+
+  assert.deepEqual(
+    { physMin: parsed.final.physMin, physMax: parsed.final.physMax, aps: parsed.final.aps },
+    { physMin: 289, physMax: 521, aps: 1.15 }
+  );
+  assert.equal(parsed.final.critChance, 9.19);
+
+  // Rune and explicit increased physical damage are summed.
+  assert.equal(parsed.mods.increasedPhys, 180);
+  assert.equal(parsed.mods.flatPhysMin, 24);
+  assert.equal(parsed.mods.flatPhysMax, 40);
+  assert.equal(parsed.mods.quality, 20);
+  assert.equal(parsed.mods.flatCritChance, 4.19);
+  assert.equal(parsed.mods.gainAsExtraLightning, 20);
+  assert.equal(parsed.runeMods.increasedPhys, 18);
+});
+
+test('parses elemental damage ranges per element', () => {
+  const parsed = weaponParser.parseWeaponRow(loadFixtureRow('elemental-crossbow.html'));
+
+  assert.equal(parsed.itemClass, 'Crossbow');
+  assert.equal(parsed.runeSlotCount, 1);
+  assert.equal(parsed.final.fireMin, 10);
+  assert.equal(parsed.final.fireMax, 20);
+  assert.equal(parsed.final.lightningMin, 2);
+  assert.equal(parsed.final.lightningMax, 40);
+  assert.equal(parsed.final.coldMax, 0);
+  assert.equal(parsed.mods.flatFireMax, 20);
+  assert.equal(parsed.mods.flatLightningMax, 40);
+  assert.equal(parsed.mods.increasedAttackSpeed, 10);
+});
+
+test('counts open affix slots from explicit mods', () => {
+  const { affixes } = weaponParser.parseWeaponRow(loadFixtureRow('elemental-crossbow.html'));
+
+  assert.equal(affixes.rarity, 'rare');
+  assert.equal(affixes.corrupted, false);
+  assert.equal(affixes.prefixes.length, 2);
+  assert.equal(affixes.suffixes.length, 1);
+  assert.equal(affixes.openPrefixes, 1);
+  assert.equal(affixes.openSuffixes, 2);
+});
+
+test('corrupted items have no open affix slots', () => {
+  const parsed = weaponParser.parseWeaponRow(loadFixtureRow('corrupted.html'));
+
+  assert.equal(parsed.affixes.corrupted, true);
+  assert.equal(parsed.affixes.openPrefixes, 0);
+  assert.equal(parsed.affixes.openSuffixes, 0);
+  assert.equal(parsed.mods.quality, 8);
+});
+
+test('rows without socket markup fall back to two rune slots', () => {
+  const parsed = weaponParser.parseWeaponRow(loadFixtureRow('missing-sockets.html'));
+
+  assert.equal(parsed.runeSlotCount, 2);
+});
+
+test('infers the item class of every martial weapon kind from its base type', () => {
+  const cases = {
+    'Obliterator Bow': 'Bow',
+    'Siege Crossbow': 'Crossbow',
+    'Aegis Quarterstaff': 'Quarterstaff',
+    'Flying Spear': 'Spear',
+    'Flanged Mace': 'One Hand Mace',
+    'Wooden Club': 'One Hand Mace',
+    'Construct Hammer': 'One Hand Mace',
+    'Anvil Maul': 'Two Hand Mace',
+    'Felled Greatclub': 'Two Hand Mace',
+    'Forge Sledgehammer': 'Two Hand Mace',
+    'Fanatic Greathammer': 'Two Hand Mace',
+    'Expert Shortsword': 'One Hand Sword',
+    'Expert Greatsword': 'Two Hand Sword',
+    'Dread Axe': 'One Hand Axe',
+    'Vaal Greataxe': 'Two Hand Axe',
+    'Glass Dagger': 'Dagger',
+    'Hook Claw': 'Claw',
+    'Iron Flail': 'Flail',
+  };
+  for (const [typeLine, itemClass] of Object.entries(cases)) {
+    assert.equal(weaponParser.inferItemClass(typeLine), itemClass, typeLine);
+  }
+});
@@ -0,0 +1,162 @@
+/**
+ * PoE2 weapon base types, used to sanity-check reverse-engineered bases.
+ *
+ * reverseEngineerBase solves for the base from displayed values and the mods we managed
+ * to parse, so a missed mod silently produces a wrong base (and reverseAndVerify cannot
+ * notice, because it round-trips its own output). Comparing against the known base type
+ * catches that.
+ *
+ * The table is partial: a type line without a listed base gets no base check, and its
+ * item class comes from weapon-parser.js inferItemClass instead.
+ *
+ * Sources: PoE2DB base item pages (values without quality or mods)
+ */
+
+(function () {
+  'use strict';
+
+  /**
+   * @typedef {Object} WeaponBase
+   * @property {string} name - Base type name as shown in the item's type line
+   * @property {string} itemClass - Matches MARTIAL_WEAPON_CLASSES in rune-options.js
+   * @property {number} physMin
+   * @property {number} physMax
+   * @property {number} aps
+   * @property {number} crit - Base critical hit chance, e.g. 5 for 5%
+   */
+
+  /** @type {WeaponBase[]} */
+  const WEAPON_BASES = [
+    // Bows
+    { name: 'Crude Bow', itemClass: 'Bow', physMin: 6, physMax: 9, aps: 1.2, crit: 5 },
+    { name: 'Shortbow', itemClass: 'Bow', physMin: 9, physMax: 15, aps: 1.25, crit: 5 },
+    { name: 'Recurve Bow', itemClass: 'Bow', physMin: 22, physMax: 41, aps: 1.1, crit: 5 },
+    { name: 'Dualstring Bow', itemClass: 'Bow', physMin: 41, physMax: 76, aps: 1.1, crit: 5 },
+    { name: 'Gemini Bow', itemClass: 'Bow', physMin: 44, physMax: 82, aps: 1.1, crit: 5 },
+    { name: 'Fanatic Bow', itemClass: 'Bow', physMin: 51, physMax: 95, aps: 1.1, crit: 5 },
+    { name: 'Obliterator Bow', itemClass: 'Bow', physMin: 62, physMax: 115, aps: 1.15, crit: 5 },
+    // Crossbows
+    { name: 'Makeshift Crossbow', itemClass: 'Crossbow', physMin: 7, physMax: 12, aps: 1.6, crit: 5 },
+    { name: 'Siege Crossbow', itemClass: 'Crossbow', physMin: 30, physMax: 121, aps: 1.45, crit: 5 },
+    { name: 'Desolate Crossbow', itemClass: 'Crossbow', physMin: 34, physMax: 136, aps: 1.55, crit: 5 },
+    // Quarterstaves
+    { name: 'Wrapped Quarterstaff', itemClass: 'Quarterstaff', physMin: 7, physMax: 12, aps: 1.4, crit: 10 },
+    { name: 'Striking Quarterstaff', itemClass: 'Quarterstaff', physMin: 42, physMax: 70, aps: 1.4, crit: 10 },
+    { name: 'Aegis Quarterstaff', itemClass: 'Quarterstaff', physMin: 58, physMax: 97, aps: 1.4, crit: 10 },
+    // Spears
+    { name: 'Hardwood Spear', itemClass: 'Spear', physMin: 6, physMax: 11, aps: 1.6, crit: 5 },
+    { name: 'Flying Spear', itemClass: 'Spear', physMin: 38, physMax: 70, aps: 1.6, crit: 5 },
+    // Maces
+    { name: 'Wooden Club', itemClass: 'One Hand Mace', physMin: 6, physMax: 10, aps: 1.45, crit: 5 },
+    { name: 'Flanged Mace', itemClass: 'One Hand Mace', physMin: 45, physMax: 68, aps: 1.4, crit: 5 },
+    { name: 'Felled Greatclub', itemClass: 'Two Hand Mace', physMin: 13, physMax: 18, aps: 1.1, crit: 5 },
+    { name: 'Anvil Maul', itemClass: 'Two Hand Mace', physMin: 94, physMax: 127, aps: 1.05, crit: 5 },
+  ];
+
+  // Rounding slack: displayed damage is rounded to integers and APS to two decimals,
+  // so a correct reverse-engineer can still be off by about one point.
+  const PHYS_TOLERANCE_ABS = 1.5;
+  const PHYS_TOLERANCE_PCT = 2;
+  const APS_TOLERANCE = 0.02;
+  const CRIT_TOLERANCE = 0.05;
+
+  /**
+   * Find the base type in a type line. Magic items wrap the base in affix words
+   * ("Heavy Obliterator Bow of the Sniper"), so the longest contained name wins.
+   *
+   * @param {string|null} typeLine
+   * @param {WeaponBase[]} [bases=WEAPON_BASES]
+   * @returns {WeaponBase|null}
+   */
+  function findWeaponBase(typeLine, bases = WEAPON_BASES) {
+    if (!typeLine) return null;
+    const text = typeLine.toLowerCase();
+    let found = null;
+    for (const base of bases) {
+      if (text.includes(base.name.toLowerCase()) && (!found || base.name.length > found.name.length)) {
+        found = base;
+      }
+    }
+    return found;
+  }
+
+  function withinPhysTolerance(actual, expected) {
+    return Math.abs(actual - expected) <= Math.max(PHYS_TOLERANCE_ABS, expected * PHYS_TOLERANCE_PCT / 100);
+  }
+
+  /**
+   * Compare a reverse-engineered base with the known base type.
+   *
+   * @param {import('./weapon-dps.js').BaseWeaponStats} reversed
+   * @param {WeaponBase} known
+   * @returns {{ matches: boolean, issues: Array<{ stat: string, expected: number, actual: number,
+   *   hint: string }> }}
+   */
+  function compareWithBase(reversed, known) {
+    const issues = [];
+    if (!reversed || !known) return { matches: true, issues };
+
+    const physOff =
+      !withinPhysTolerance(reversed.basePhysMin ?? 0, known.physMin) ||
+      !withinPhysTolerance(reversed.basePhysMax ?? 0, known.physMax);
+    if (physOff) {
+      const reversedAvg = ((reversed.basePhysMin ?? 0) + (reversed.basePhysMax ?? 0)) / 2;
+      const knownAvg = (known.physMin + known.physMax) / 2;
+      issues.push({
+        stat: 'phys',
+        expected: knownAvg,
+        actual: reversedAvg,
+        hint:
+          reversedAvg > knownAvg
+            ? 'unparsed flat or % increased physical damage mod?'
+            : 'physical damage mod parsed that does not apply locally?',
+      });
+    }
+
+    if (Math.abs((reversed.baseAps ?? 0) - known.aps) > APS_TOLERANCE) {
+      issues.push({
+        stat: 'aps',
+        expected: known.aps,
+        actual: reversed.baseAps ?? 0,
+        hint:
+          (reversed.baseAps ?? 0) > known.aps
+            ? 'unparsed attack speed mod?'
+            : 'attack speed mod parsed that does not apply locally?',
+      });
+    }
+
+    if (
+      typeof reversed.baseCritChance === 'number' &&
+      Math.abs(reversed.baseCritChance - known.crit) > CRIT_TOLERANCE
+    ) {
+      issues.push({
+        stat: 'crit',
+        expected: known.crit,
+        actual: reversed.baseCritChance,
+        hint:
+          reversed.baseCritChance > known.crit
+            ? 'unparsed critical hit chance mod?'
+            : 'critical hit chance mod parsed that does not apply locally?',
+      });
+    }
+
+    return { matches: issues.length === 0, issues };
+  }
+
+  if (typeof window !== 'undefined') {
+    window.PoeValueEvaluator = window.PoeValueEvaluator || {};
+    window.PoeValueEvaluator.weaponBases = {
+      WEAPON_BASES,
+      findWeaponBase,
+      compareWithBase,
+    };
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      WEAPON_BASES,
+      findWeaponBase,
+      compareWithBase,
+    };
+  }
+})();
@@ -33,15 +33,51 @@
  * @property {number} [increasedPhys=0] - e.g. 50 for 50%
  * @property {number} [increasedAttackSpeed=0] - e.g. 12 for 12%
  * @property {number} [flatCritChance=0] - e.g. 2 for +2%
+ * @property {number} [gainAsExtraFire=0] - "Gain X% of Damage as Extra Fire Damage", e.g. 20 for 20%
+ * @property {number} [gainAsExtraCold=0]
+ * @property {number} [gainAsExtraLightning=0]
+ * @property {number} [gainAsExtraChaos=0]
+ * @property {number} [attackSkillLevels=0] - "+X to Level of all Attack Skills"
+ * @property {number} [projectileSkillLevels=0] - "+X to Level of all Projectile Skills"
+ * @property {number} [meleeSkillLevels=0] - "+X to Level of all Melee Skills"
+ * @property {number} [skillLevelDamagePct=0] - User estimate of % more damage per skill level
+ * @property {BuildModifiers|null} [build=null] - Character globals for buildDps (see build-profile.js)
  * @property {number} [quality=0] - e.g. 20 for 20%
  */
 
+/**
+ * @typedef {Object} BuildModifiers
+ * Global (non-local) modifiers from the character, all in %. Increases are already summed
+ * per damage type, including generic, elemental and skill-tag increases.
+ * @property {number} [increasedPhys=0]
+ * @property {number} [increasedFire=0]
+ * @property {number} [increasedCold=0]
+ * @property {number} [increasedLightning=0]
+ * @property {number} [increasedChaos=0]
+ * @property {number} [increasedAttackSpeed=0] - Global, applied on top of the weapon's local APS
+ * @property {number} [increasedCritChance=0]
+ * @property {number} [critDamageBonus=0] - Added to the weapon's critical damage bonus
+ * @property {number} [physToFire=0] - Physical converted, at most 100 in total
+ * @property {number} [physToCold=0]
+ * @property {number} [physToLightning=0]
+ * @property {number} [physToChaos=0]
+ * @property {number} [gainAsExtra=0] - "Gain X% of Damage as Extra", added to the weapon's gains
+ * @property {number} [damageEffectiveness=100] - Main skill's damage effectiveness
+ * @property {number} [more=0] - Combined "more" damage from the skill and its supports
+ */
+
 /**
  * @typedef {Object} WeaponOutputs
  * @property {number} physDps
  * @property {number} eleDps
- * @property {number} totalDps
- * @property {number} totalDpsWithCrit
+ * @property {number} totalDps - Hit DPS as the trade site shows it (no extra damage gains)
+ * @property {number} extraDps - DPS from "Gain X% of Damage as Extra <Element>"
+ * @property {number} skillLevels - Attack + projectile + melee skill levels on the item
+ * @property {number} skillLevelDps - DPS the skill levels are worth at skillLevelDamagePct
+ * @property {number} effectiveDps - totalDps + extraDps + skillLevelDps
+ * @property {number} totalDpsWithCrit - effectiveDps weighted by crit
+ * @property {number} buildDps - Crit-weighted effective DPS with the build's globals applied;
+ *   equals totalDpsWithCrit without a build
  * @property {number} physMin
  * @property {number} physMax
  * @property {number} aps
@@ -60,6 +96,7 @@
  * @property {number} [chaosMin=0]
  * @property {number} [chaosMax=0]
  * @property {number} aps - Final displayed attacks per second
+ * @property {number} [critChance] - Final displayed critical hit chance (e.g. 9.19 for 9.19%)
  */
 
 /**
@@ -76,6 +113,16 @@
  * @property {number} [flatChaosMax=0]
  * @property {number} [increasedPhys=0]
  * @property {number} [increasedAttackSpeed=0]
+ * @property {number} [flatCritChance=0] - Local "+X% to Critical Hit Chance"
+ * @property {number} [gainAsExtraFire=0]
+ * @property {number} [gainAsExtraCold=0]
+ * @property {number} [gainAsExtraLightning=0]
+ * @property {number} [gainAsExtraChaos=0]
+ * @property {number} [attackSkillLevels=0]
+ * @property {number} [projectileSkillLevels=0]
+ * @property {number} [meleeSkillLevels=0]
+ * @property {number} [skillLevelDamagePct=0] - Not an item mod: the user's value per level
+ * @property {BuildModifiers|null} [build=null] - Not an item mod: the imported build profile
  * @property {number} [quality=0]
  */
 
@@ -84,6 +131,7 @@
  * @property {number} basePhysMin
  * @property {number} basePhysMax
  * @property {number} baseAps
+ * @property {number} [baseCritChance] - Only set when the final crit chance is known
  * @property {number} [baseFireMin=0]
  * @property {number} [baseFireMax=0]
  * @property {number} [baseColdMin=0]
@@ -107,6 +155,13 @@
  * 3. × (1 + quality%) — Quality applies last as "more" multiplier
  * 4. Elemental: flat only (no local scaling on weapons)
  * 5. APS = base APS × (1 + increased attack speed%)
+ * 6. Extra damage: each "Gain X% of Damage as Extra <Element>" adds X% of the
+ *    hit (all types, before gains) as that element. Gains do not feed each other.
+ *    The trade site's DPS ignores this, so it is reported separately.
+ * 7. Skill levels: each "+X to Level of all Attack/Projectile/Melee Skills" level is
+ *    worth skillLevelDamagePct% more damage (a per-build estimate, additive per level).
+ *    Like extra damage, it only feeds effectiveDps and the crit-weighted DPS.
+ * 8. Build: the character's globals are applied on top (see calcBuildDps) for buildDps.
  *
  * @param {WeaponInputs} input
  * @returns {WeaponOutputs}
@@ -144,22 +199,137 @@ function calcWeaponDps(input) {
   const eleDps = (avgFire + avgCold + avgLightning + avgChaos) * aps;
   const totalDps = physDps + eleDps;
 
-  const critChance = ((input.baseCritChance ?? 5) + (input.flatCritChance ?? 0)) / 100;
+  const gainPct =
+    (input.gainAsExtraFire ?? 0) +
+    (input.gainAsExtraCold ?? 0) +
+    (input.gainAsExtraLightning ?? 0) +
+    (input.gainAsExtraChaos ?? 0);
+  const extraDps = totalDps * (gainPct / 100);
+
+  const skillLevels =
+    (input.attackSkillLevels ?? 0) +
+    (input.projectileSkillLevels ?? 0) +
+    (input.meleeSkillLevels ?? 0);
+  const skillLevelMore = (skillLevels * (input.skillLevelDamagePct ?? 0)) / 100;
+  const skillLevelDps = (totalDps + extraDps) * skillLevelMore;
+  const effectiveDps = totalDps + extraDps + skillLevelDps;
+
+  const critChance = Math.min(100, (input.baseCritChance ?? 5) + (input.flatCritChance ?? 0)) / 100;
   const critMulti = input.baseCritMulti ?? 1.5;
   const critFactor = 1 + critChance * (critMulti - 1);
-  const totalDpsWithCrit = totalDps * critFactor;
+  const totalDpsWithCrit = effectiveDps * critFactor;
+
+  const buildDps = calcBuildDps(
+    {
+      phys: avgPhys,
+      fire: avgFire,
+      cold: avgCold,
+      lightning: avgLightning,
+      chaos: avgChaos,
+      aps,
+      critChance: critChance * 100,
+      critMulti,
+      gainPct,
+      skillLevelMore,
+    },
+    input.build || {}
+  );
 
   return {
     physDps,
     eleDps,
     totalDps,
+    extraDps,
+    skillLevels,
+    skillLevelDps,
+    effectiveDps,
     totalDpsWithCrit,
+    buildDps,
     physMin,
     physMax,
     aps,
   };
 }
 
+/**
+ * DPS of a weapon's average hit in the character's build.
+ *
+ * Order of operations:
+ * 1. Conversion: physical converted to elements/chaos. Converted damage only gets the
+ *    increases of the type it ends up as.
+ * 2. × (1 + increased%) per damage type, × damage effectiveness, × (1 + more%)
+ * 3. Extra damage gains (weapon + build) and skill levels as in calcWeaponDps
+ * 4. APS × (1 + global increased attack speed%)
+ * 5. Crit: chance × (1 + increased crit%) (max 100%), multiplier + build crit damage bonus
+ *
+ * With an empty build this is the crit-weighted effective DPS.
+ *
+ * @param {{ phys: number, fire: number, cold: number, lightning: number, chaos: number,
+ *   aps: number, critChance: number, critMulti: number, gainPct: number,
+ *   skillLevelMore: number }} hit - Local average hit per type and weapon stats
+ * @param {BuildModifiers} build
+ * @returns {number}
+ */
+function calcBuildDps(hit, build) {
+  const converted = {
+    fire: hit.phys * ((build.physToFire ?? 0) / 100),
+    cold: hit.phys * ((build.physToCold ?? 0) / 100),
+    lightning: hit.phys * ((build.physToLightning ?? 0) / 100),
+    chaos: hit.phys * ((build.physToChaos ?? 0) / 100),
+  };
+  const phys = hit.phys - converted.fire - converted.cold - converted.lightning - converted.chaos;
+
+  const scaled =
+    phys * (1 + (build.increasedPhys ?? 0) / 100) +
+    (hit.fire + converted.fire) * (1 + (build.increasedFire ?? 0) / 100) +
+    (hit.cold + converted.cold) * (1 + (build.increasedCold ?? 0) / 100) +
+    (hit.lightning + converted.lightning) * (1 + (build.increasedLightning ?? 0) / 100) +
+    (hit.chaos + converted.chaos) * (1 + (build.increasedChaos ?? 0) / 100);
+
+  const damage =
+    scaled *
+    ((build.damageEffectiveness ?? 100) / 100) *
+    (1 + (build.more ?? 0) / 100) *
+    (1 + (hit.gainPct + (build.gainAsExtra ?? 0)) / 100) *
+    (1 + hit.skillLevelMore);
+
+  const aps = hit.aps * (1 + (build.increasedAttackSpeed ?? 0) / 100);
+  const critPct = hit.critChance * (1 + (build.increasedCritChance ?? 0) / 100);
+  const critChance = Math.min(100, critPct) / 100;
+  const critMulti = hit.critMulti + (build.critDamageBonus ?? 0) / 100;
+
+  return damage * aps * (1 + critChance * (critMulti - 1));
+}
+
+// =============================================================================
+// EVALUATION METRICS
+// =============================================================================
+
+/**
+ * Selectable ranking metrics. `key` is the WeaponOutputs field each one reads.
+ */
+const DPS_METRICS = {
+  dps: { key: 'totalDps', label: 'DPS', short: 'DPS' },
+  effective: { key: 'effectiveDps', label: 'Effective DPS (extra damage, skill levels)', short: 'effDPS' },
+  crit: { key: 'totalDpsWithCrit', label: 'Crit-weighted DPS', short: 'cDPS' },
+  phys: { key: 'physDps', label: 'Physical DPS', short: 'pDPS' },
+  ele: { key: 'eleDps', label: 'Elemental DPS', short: 'eDPS' },
+  build: { key: 'buildDps', label: 'DPS in your build', short: 'bDPS' },
+};
+
+/**
+ * Read a metric from calcWeaponDps output. Unknown metric ids fall back to total DPS.
+ *
+ * @param {WeaponOutputs} result
+ * @param {string} metricId - Key of DPS_METRICS
+ * @returns {number}
+ */
+function getMetricValue(result, metricId) {
+  const metric = DPS_METRICS[metricId] || DPS_METRICS.dps;
+  const value = result ? result[metric.key] : undefined;
+  return typeof value === 'number' && Number.isFinite(value) ? value : 0;
+}
+
 // =============================================================================
 // REVERSE: Final displayed values + known modifiers → Base weapon stats
 // =============================================================================
@@ -199,6 +369,12 @@ function reverseEngineerBase(final, mods = {}) {
 
   const baseAps = (final.aps ?? 0) / apsScale;
 
+  // Crit: final = base + flat (local "+X% to Critical Hit Chance")
+  const crit =
+    typeof final.critChance === 'number'
+      ? { baseCritChance: final.critChance - (mods.flatCritChance ?? 0) }
+      : {};
+
   // Elemental: no local scaling, so base = final - flat
   const baseFireMin = (final.fireMin ?? 0) - (mods.flatFireMin ?? 0);
   const baseFireMax = (final.fireMax ?? 0) - (mods.flatFireMax ?? 0);
@@ -223,31 +399,31 @@ function reverseEngineerBase(final, mods = {}) {
     baseLightningMax,
     baseChaosMin,
     baseChaosMax,
+    ...crit,
   };
 }
 
 /**
- * Verify reverse engineering by running forward calc and comparing to final.
- * Useful for testing/debugging.
+ * Combine a (reverse-engineered) base with modifiers into calcWeaponDps input.
  *
- * @param {FinalWeaponStats} final
- * @param {KnownModifiers} mods
- * @returns {{ base: BaseWeaponStats, reconstructed: WeaponOutputs, matches: boolean }}
+ * @param {BaseWeaponStats} base
+ * @param {KnownModifiers} [mods]
+ * @returns {WeaponInputs}
  */
-function reverseAndVerify(final, mods) {
-  const base = reverseEngineerBase(final, mods);
-  const reconstructed = calcWeaponDps({
+function buildWeaponInputs(base, mods = {}) {
+  return {
     basePhysMin: base.basePhysMin,
     basePhysMax: base.basePhysMax,
     baseAps: base.baseAps,
-    baseFireMin: base.baseFireMin,
-    baseFireMax: base.baseFireMax,
-    baseColdMin: base.baseColdMin,
-    baseColdMax: base.baseColdMax,
-    baseLightningMin: base.baseLightningMin,
-    baseLightningMax: base.baseLightningMax,
-    baseChaosMin: base.baseChaosMin,
-    baseChaosMax: base.baseChaosMax,
+    ...(typeof base.baseCritChance === 'number' ? { baseCritChance: base.baseCritChance } : {}),
+    baseFireMin: base.baseFireMin ?? 0,
+    baseFireMax: base.baseFireMax ?? 0,
+    baseColdMin: base.baseColdMin ?? 0,
+    baseColdMax: base.baseColdMax ?? 0,
+    baseLightningMin: base.baseLightningMin ?? 0,
+    baseLightningMax: base.baseLightningMax ?? 0,
+    baseChaosMin: base.baseChaosMin ?? 0,
+    baseChaosMax: base.baseChaosMax ?? 0,
     flatPhysMin: mods.flatPhysMin ?? 0,
     flatPhysMax: mods.flatPhysMax ?? 0,
     flatFireMin: mods.flatFireMin ?? 0,
@@ -260,14 +436,160 @@ function reverseAndVerify(final, mods) {
     flatChaosMax: mods.flatChaosMax ?? 0,
     increasedPhys: mods.increasedPhys ?? 0,
     increasedAttackSpeed: mods.increasedAttackSpeed ?? 0,
+    flatCritChance: mods.flatCritChance ?? 0,
+    gainAsExtraFire: mods.gainAsExtraFire ?? 0,
+    gainAsExtraCold: mods.gainAsExtraCold ?? 0,
+    gainAsExtraLightning: mods.gainAsExtraLightning ?? 0,
+    gainAsExtraChaos: mods.gainAsExtraChaos ?? 0,
+    attackSkillLevels: mods.attackSkillLevels ?? 0,
+    projectileSkillLevels: mods.projectileSkillLevels ?? 0,
+    meleeSkillLevels: mods.meleeSkillLevels ?? 0,
+    skillLevelDamagePct: mods.skillLevelDamagePct ?? 0,
+    build: mods.build ?? null,
     quality: mods.quality ?? 0,
+  };
+}
+
+/**
+ * Split a weapon's DPS into the sources that make it up (affixes, runes, quality…).
+ *
+ * Sources are added to the base one at a time, in the given order, and each is credited
+ * with the DPS it adds on top of those before it. The shares therefore sum to the total;
+ * a source that scales earlier ones (e.g. % increased Physical after flat physical) is
+ * credited with that scaling.
+ *
+ * @param {BaseWeaponStats} base
+ * @param {Array<{ mods: KnownModifiers }>} sources - Other properties are passed through
+ * @param {Object} [options]
+ * @param {Function} [options.score] - (WeaponOutputs) => number; defaults to total DPS
+ * @param {Object} [options.context] - Non-item inputs kept throughout, e.g. { build }
+ * @returns {{ total: number, base: { dps: number, pct: number },
+ *   parts: Array<{ dps: number, pct: number }> }} pct is the share of total, e.g. 25 for 25%
+ */
+function attributeDps(base, sources, options = {}) {
+  const score = options.score || ((result) => result.totalDps);
+  let mods = { ...(options.context || {}) };
+  const baseDps = score(calcWeaponDps(buildWeaponInputs(base, mods)));
+
+  let previous = baseDps;
+  const parts = sources.map((source) => {
+    const next = { ...mods };
+    for (const [k, v] of Object.entries(source.mods)) {
+      if (typeof v === 'number') next[k] = (next[k] ?? 0) + v;
+    }
+    mods = next;
+    const dps = score(calcWeaponDps(buildWeaponInputs(base, mods)));
+    const part = { ...source, dps: dps - previous };
+    previous = dps;
+    return part;
   });
 
+  const total = previous;
+  const share = (dps) => (total > 0 ? (dps / total) * 100 : 0);
+  return {
+    total,
+    base: { dps: baseDps, pct: share(baseDps) },
+    parts: parts.map((part) => ({ ...part, pct: share(part.dps) })),
+  };
+}
+
+// Affix sources in breakdown order; stat groups not listed here go after them.
+const MOD_SOURCE_ORDER = ['enchant', 'implicit', 'fractured', 'explicit', 'desecrated'];
+
+/**
+ * attributeDps sources for a parsed weapon (a trade row or pasted item text): each affix
+ * line on its own, socketed runes as one rerollable group, then quality.
+ *
+ * @param {{ modSources: Array<{ source: string, text: string, mods: KnownModifiers }>,
+ *   runeMods: KnownModifiers }} parsed
+ * @param {KnownModifiers} mods - Modifiers the DPS is evaluated with (quality is read here)
+ * @returns {Array<{ source: string, text: string, mods: KnownModifiers }>}
+ */
+function collectDpsSources(parsed, mods) {
+  const rank = (source) => {
+    const i = MOD_SOURCE_ORDER.indexOf(source);
+    return i === -1 ? MOD_SOURCE_ORDER.length : i;
+  };
+  const sources = (parsed.modSources || [])
+    .filter((line) => line.source !== 'rune')
+    .sort((a, b) => rank(a.source) - rank(b.source));
+  if (Object.values(parsed.runeMods || {}).some((v) => v)) {
+    sources.push({ source: 'rune', text: 'Runes', mods: parsed.runeMods });
+  }
+  if (mods.quality > 0) {
+    sources.push({ source: 'quality', text: `Quality ${mods.quality}%`, mods: { quality: mods.quality } });
+  }
+  return sources;
+}
+
+/**
+ * Text lines for an attributeDps breakdown, e.g.
+ *   "  +80.1 (17.2%) explicit: 74% increased Physical Damage".
+ * Sources that add nothing are left out.
+ *
+ * @param {Object} breakdown - attributeDps result
+ * @param {string} short - Metric short name, e.g. "DPS"
+ * @returns {string[]}
+ */
+function describeDpsBreakdown(breakdown, short) {
+  const line = (dps, pct, label) =>
+    `  ${dps >= 0 ? '+' : ''}${dps.toFixed(1)} (${pct.toFixed(1)}%) ${label}`;
+  const lines = [`${short} by source:`, line(breakdown.base.dps, breakdown.base.pct, 'base')];
+  let fixedPct = 0;
+  let rerollablePct = 0;
+  for (const part of breakdown.parts) {
+    if (Math.abs(part.dps) < 0.05) continue;
+    if (part.source === 'rune') {
+      rerollablePct += part.pct;
+      lines.push(line(part.dps, part.pct, 'runes, rerollable'));
+    } else if (part.source === 'quality') {
+      rerollablePct += part.pct;
+      lines.push(line(part.dps, part.pct, 'quality'));
+    } else {
+      fixedPct += part.pct;
+      lines.push(line(part.dps, part.pct, `${part.source}: ${part.text}`));
+    }
+  }
+  lines.push(`  Fixed affixes ${fixedPct.toFixed(1)}% · runes and quality ${rerollablePct.toFixed(1)}%`);
+  return lines;
+}
+
+/**
+ * Highest quality reachable with normal currency (Whetstones / Armourer's Scraps).
+ */
+const MAX_NORMAL_QUALITY = 20;
+
+/**
+ * Re-evaluate a weapon at a different quality. Quality only scales physical damage,
+ * so everything else is unchanged.
+ *
+ * @param {BaseWeaponStats} base
+ * @param {KnownModifiers} mods
+ * @param {number} quality - e.g. 20 for 20%
+ * @returns {WeaponOutputs}
+ */
+function projectAtQuality(base, mods, quality) {
+  return calcWeaponDps(buildWeaponInputs(base, { ...mods, quality }));
+}
+
+/**
+ * Verify reverse engineering by running forward calc and comparing to final.
+ * Useful for testing/debugging.
+ *
+ * @param {FinalWeaponStats} final
+ * @param {KnownModifiers} mods
+ * @returns {{ base: BaseWeaponStats, reconstructed: WeaponOutputs, matches: boolean }}
+ */
+function reverseAndVerify(final, mods) {
+  const base = reverseEngineerBase(final, mods);
+  const reconstructed = calcWeaponDps(buildWeaponInputs(base, mods));
+
   const epsilon = 0.01;
   const physMatches =
     Math.abs(reconstructed.physMin - (final.physMin ?? 0)) < epsilon &&
     Math.abs(reconstructed.physMax - (final.physMax ?? 0)) < epsilon;
   const apsMatches = Math.abs(reconstructed.aps - (final.aps ?? 0)) < epsilon;
+  // Elemental/chaos are not checked: the base is final minus flat, so they always round-trip.
 
   return {
     base,
@@ -282,13 +604,33 @@ function reverseAndVerify(final, mods) {
 
 if (typeof window !== 'undefined') {
   window.PoeValueEvaluator = window.PoeValueEvaluator || {};
-  window.PoeValueEvaluator.weaponDps = { calcWeaponDps, reverseEngineerBase, reverseAndVerify };
+  window.PoeValueEvaluator.weaponDps = {
+    DPS_METRICS,
+    getMetricValue,
+    calcWeaponDps,
+    reverseEngineerBase,
+    buildWeaponInputs,
+    attributeDps,
+    collectDpsSources,
+    describeDpsBreakdown,
+    MAX_NORMAL_QUALITY,
+    projectAtQuality,
+    reverseAndVerify,
+  };
 }
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
+    DPS_METRICS,
+    getMetricValue,
     calcWeaponDps,
     reverseEngineerBase,
+    buildWeaponInputs,
+    attributeDps,
+    collectDpsSources,
+    describeDpsBreakdown,
+    MAX_NORMAL_QUALITY,
+    projectAtQuality,
     reverseAndVerify,
   };
 }
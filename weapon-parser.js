@@ -5,7 +5,8 @@
  * DOM structure reference (from trade site):
  * - Row: .row (contains left/middle/right)
  * - Item popup: .itemPopupContainer .itemBoxContent (inside .middle)
- * - Stats: [data-field="quality"], [data-field="pdamage"], [data-field="crit"], [data-field="aps"]
+ * - Stats: [data-field="quality"], [data-field="pdamage"], [data-field="edamage"], [data-field="cdamage"],
+ *   [data-field="crit"], [data-field="aps"]
  * - Modifiers: .runeMod, .explicitMod, .implicitMod, .desecratedMod; or [data-field^="stat."] spans
  * - Summary: .itemPopupAdditional has [data-field="dps"], [data-field="pdps"], [data-field="edps"]
  */
@@ -16,6 +17,8 @@
   const FIELD = {
     QUALITY: 'quality',
     PDAMAGE: 'pdamage',
+    EDAMAGE: 'edamage',
+    CDAMAGE: 'cdamage',
     CRIT: 'crit',
     APS: 'aps',
     DPS: 'dps',
@@ -52,6 +55,66 @@
     return (valueEl.textContent || '').trim() || null;
   }
 
+  /**
+   * Damage colour classes used by the trade site inside [data-field="edamage"] / [data-field="cdamage"].
+   */
+  const DAMAGE_COLOUR_CLASS = {
+    fire: 'colourFireDamage',
+    cold: 'colourColdDamage',
+    lightning: 'colourLightningDamage',
+    chaos: 'colourChaosDamage',
+  };
+
+  /**
+   * Parse elemental and chaos damage ranges.
+   * Structure: <span data-field="edamage">Elemental Damage: <span class="colourFireDamage">5-10</span>,
+   *   <span class="colourLightningDamage">1-60</span></span>
+   * Chaos uses [data-field="cdamage"] with a colourChaosDamage span (or plain text).
+   *
+   * @param {Element} root
+   * @returns {{ fireMin: number, fireMax: number, coldMin: number, coldMax: number,
+   *   lightningMin: number, lightningMax: number, chaosMin: number, chaosMax: number }}
+   */
+  function parseElementalDamage(root) {
+    const out = {
+      fireMin: 0,
+      fireMax: 0,
+      coldMin: 0,
+      coldMax: 0,
+      lightningMin: 0,
+      lightningMax: 0,
+      chaosMin: 0,
+      chaosMax: 0,
+    };
+
+    const fields = [FIELD.EDAMAGE, FIELD.CDAMAGE]
+      .map((field) => root.querySelector(`[data-field="${field}"]`))
+      .filter(Boolean);
+
+    for (const fieldEl of fields) {
+      for (const [element, cls] of Object.entries(DAMAGE_COLOUR_CLASS)) {
+        for (const span of fieldEl.querySelectorAll(`.${cls}`)) {
+          const range = parseRange((span.textContent || '').trim());
+          if (range.min == null || range.max == null) continue;
+          out[`${element}Min`] += range.min;
+          out[`${element}Max`] += range.max;
+        }
+      }
+    }
+
+    // Chaos field without colour spans: take the range from its own text.
+    const cdamageEl = root.querySelector(`[data-field="${FIELD.CDAMAGE}"]`);
+    if (cdamageEl && !cdamageEl.querySelector(`.${DAMAGE_COLOUR_CLASS.chaos}`)) {
+      const range = parseRange(getFieldText(root, FIELD.CDAMAGE));
+      if (range.min != null && range.max != null) {
+        out.chaosMin += range.min;
+        out.chaosMax += range.max;
+      }
+    }
+
+    return out;
+  }
+
   /**
    * Extract final weapon stats from item popup DOM.
    *
@@ -61,28 +124,28 @@
   function parseFinalStats(itemRoot) {
     const root = itemRoot.closest('.itemPopupContainer') || itemRoot;
 
-    const pdamageText = getFieldText(root, FIELD.PDAMAGE);
     const apsText = getFieldText(root, FIELD.APS);
-    if (!pdamageText || !apsText) return null;
-
-    const physRange = parseRange(pdamageText);
     const aps = parseNum(apsText);
-    if (physRange.min == null || physRange.max == null || aps == null) return null;
+    if (aps == null) return null;
+
+    const elemental = parseElementalDamage(root);
+    const hasNonPhys = Object.values(elemental).some((v) => v > 0);
+
+    // Physical is optional for purely elemental/chaos weapons.
+    const pdamageText = getFieldText(root, FIELD.PDAMAGE);
+    const physRange = pdamageText ? parseRange(pdamageText) : { min: null, max: null };
+    if ((physRange.min == null || physRange.max == null) && !hasNonPhys) return null;
 
     const result = {
-      physMin: physRange.min,
-      physMax: physRange.max,
+      physMin: physRange.min ?? 0,
+      physMax: physRange.max ?? 0,
       aps,
-      fireMin: 0,
-      fireMax: 0,
-      coldMin: 0,
-      coldMax: 0,
-      lightningMin: 0,
-      lightningMax: 0,
-      chaosMin: 0,
-      chaosMax: 0,
+      ...elemental,
     };
 
+    const critChance = parseNum(getFieldText(root, FIELD.CRIT));
+    if (critChance != null) result.critChance = critChance;
+
     return result;
   }
 
@@ -93,7 +156,11 @@
    *   "162% increased Physical Damage" -> { increasedPhys: 162 }
    *   "Adds 24 to 40 Physical Damage" -> { flatPhysMin: 24, flatPhysMax: 40 }
    *   "Adds 5 to 138 Fire Damage" -> { flatFireMin: 5, flatFireMax: 138 }
-   *   "Gain 20% of Damage as Extra Lightning Damage" -> (handled separately, not in base calc)
+   *   "+4.19% to Critical Hit Chance" -> { flatCritChance: 4.19 }
+   *   "Gain 20% of Damage as Extra Lightning Damage" -> { gainAsExtraLightning: 20 }
+   *     (does not change displayed damage, so it never affects base reverse-engineering)
+   *   "+3 to Level of all Projectile Skills" -> { projectileSkillLevels: 3 }
+   *     (likewise Attack and Melee; valued per level by the user, see weapon-dps.js)
    */
   const MOD_REGEX = {
     increasedPhys: /(\d+(?:\.\d+)?)\s*%\s*increased\s+Physical\s+Damage/i,
@@ -103,6 +170,9 @@
     flatCold: /Adds\s+(\d+(?:\.\d+)?)\s+to\s+(\d+(?:\.\d+)?)\s+Cold\s+Damage/i,
     flatLightning: /Adds\s+(\d+(?:\.\d+)?)\s+to\s+(\d+(?:\.\d+)?)\s+Lightning\s+Damage/i,
     flatChaos: /Adds\s+(\d+(?:\.\d+)?)\s+to\s+(\d+(?:\.\d+)?)\s+Chaos\s+Damage/i,
+    flatCritChance: /^\+(\d+(?:\.\d+)?)\s*%\s*to\s+Critical\s+Hit\s+Chance$/i,
+    gainAsExtra: /Gain\s+(\d+(?:\.\d+)?)\s*%\s+of\s+Damage\s+as\s+Extra\s+(Fire|Cold|Lightning|Chaos)\s+Damage/i,
+    skillLevels: /^\+(\d+)\s+to\s+Level\s+of\s+all\s+(Attack|Projectile|Melee)\s+Skills$/i,
   };
 
   function parseModText(text) {
@@ -148,13 +218,62 @@
       out.flatChaosMax = (out.flatChaosMax ?? 0) + parseFloat(mFlatChaos[2]);
     }
 
+    const mFlatCrit = text.match(MOD_REGEX.flatCritChance);
+    if (mFlatCrit) out.flatCritChance = (out.flatCritChance ?? 0) + parseFloat(mFlatCrit[1]);
+
+    const mGain = text.match(MOD_REGEX.gainAsExtra);
+    if (mGain) {
+      const element = mGain[2].charAt(0).toUpperCase() + mGain[2].slice(1).toLowerCase();
+      const key = `gainAsExtra${element}`;
+      out[key] = (out[key] ?? 0) + parseFloat(mGain[1]);
+    }
+
+    const mLevels = text.match(MOD_REGEX.skillLevels);
+    if (mLevels) {
+      const key = `${mLevels[2].toLowerCase()}SkillLevels`;
+      out[key] = (out[key] ?? 0) + parseInt(mLevels[1], 10);
+    }
+
     return out;
   }
 
+  /**
+   * Every modifier parseModText can produce, at 0. Keys outside this set are not summed.
+   *
+   * @returns {import('./weapon-dps.js').KnownModifiers}
+   */
+  function emptyModifiers() {
+    return {
+      flatPhysMin: 0,
+      flatPhysMax: 0,
+      flatFireMin: 0,
+      flatFireMax: 0,
+      flatColdMin: 0,
+      flatColdMax: 0,
+      flatLightningMin: 0,
+      flatLightningMax: 0,
+      flatChaosMin: 0,
+      flatChaosMax: 0,
+      increasedPhys: 0,
+      increasedAttackSpeed: 0,
+      flatCritChance: 0,
+      gainAsExtraFire: 0,
+      gainAsExtraCold: 0,
+      gainAsExtraLightning: 0,
+      gainAsExtraChaos: 0,
+      attackSkillLevels: 0,
+      projectileSkillLevels: 0,
+      meleeSkillLevels: 0,
+    };
+  }
+
   /**
    * Parse rune slot count from item. Looks for .sockets.numSocketsN or .socket--rune count.
+   *
+   * @param {Element} itemRoot
+   * @param {number} [fallback=2] - Slots assumed without socket markup (a two-hand weapon's)
    */
-  function parseRuneSlotCount(itemRoot) {
+  function parseRuneSlotCount(itemRoot, fallback = 2) {
     const container = itemRoot.closest('.row') || itemRoot;
 
     const socketsEl = container.querySelector('.sockets');
@@ -165,7 +284,7 @@
       if (runeSockets.length > 0) return runeSockets.length;
     }
 
-    return 2;
+    return fallback;
   }
 
   /**
@@ -174,20 +293,7 @@
   function parseRuneModifiers(itemRoot) {
     const root = itemRoot.closest('.itemPopupContainer') || itemRoot;
 
-    const mods = {
-      flatPhysMin: 0,
-      flatPhysMax: 0,
-      flatFireMin: 0,
-      flatFireMax: 0,
-      flatColdMin: 0,
-      flatColdMax: 0,
-      flatLightningMin: 0,
-      flatLightningMax: 0,
-      flatChaosMin: 0,
-      flatChaosMax: 0,
-      increasedPhys: 0,
-      increasedAttackSpeed: 0,
-    };
+    const mods = emptyModifiers();
 
     const runeStatSpans = root.querySelectorAll('[data-field^="stat.rune."]');
     for (const span of runeStatSpans) {
@@ -212,21 +318,7 @@
   function parseModifiers(itemRoot) {
     const root = itemRoot.closest('.itemPopupContainer') || itemRoot;
 
-    const mods = {
-      flatPhysMin: 0,
-      flatPhysMax: 0,
-      flatFireMin: 0,
-      flatFireMax: 0,
-      flatColdMin: 0,
-      flatColdMax: 0,
-      flatLightningMin: 0,
-      flatLightningMax: 0,
-      flatChaosMin: 0,
-      flatChaosMax: 0,
-      increasedPhys: 0,
-      increasedAttackSpeed: 0,
-      quality: 0,
-    };
+    const mods = { ...emptyModifiers(), quality: 0 };
 
     const qualityText = getFieldText(root, FIELD.QUALITY);
     if (qualityText) {
@@ -250,6 +342,219 @@
     return mods;
   }
 
+  /**
+   * Every modifier line with its source, DPS-relevant or not (e.g. for item text export).
+   *
+   * @param {Element} itemRoot
+   * @returns {Array<{ source: string, text: string }>} In item order; `source` is the stat
+   *   group from data-field, e.g. "explicit", "rune", "implicit", "desecrated"
+   */
+  function parseModLines(itemRoot) {
+    const root = itemRoot.closest('.itemPopupContainer') || itemRoot;
+    const lines = [];
+    for (const span of root.querySelectorAll('[data-field^="stat."]')) {
+      const text = (span.textContent || '').trim();
+      if (!text) continue;
+      const source = span.getAttribute('data-field').split('.')[1] || 'explicit';
+      lines.push({ source, text });
+    }
+    return lines;
+  }
+
+  /**
+   * Weapon modifiers line by line with their source, for per-source DPS breakdowns.
+   * Lines without a DPS-relevant modifier are left out.
+   *
+   * @param {Element|Array<{ source: string, text: string }>} itemRoot - Or parseModLines output
+   * @returns {Array<{ source: string, text: string, mods: Object }>}
+   */
+  function parseModifierSources(itemRoot) {
+    const lines = Array.isArray(itemRoot) ? itemRoot : parseModLines(itemRoot);
+    return lines
+      .map((line) => ({ ...line, mods: parseModText(line.text) }))
+      .filter((line) => Object.keys(line.mods).length);
+  }
+
+  /**
+   * Item name and base type from the popup header.
+   * Rare/unique items have two .itemName lines (name, then .typeLine); normal/magic have one.
+   *
+   * @param {Element} itemRoot
+   * @returns {{ name: string|null, typeLine: string|null }}
+   */
+  function parseItemHeader(itemRoot) {
+    const root = itemRoot.closest('.itemPopupContainer') || itemRoot;
+    let name = null;
+    let typeLine = null;
+
+    for (const el of root.querySelectorAll('.itemHeader .itemName')) {
+      const text = (el.textContent || '').trim().replace(/\s+/g, ' ');
+      if (!text) continue;
+      if (el.classList.contains('typeLine')) typeLine = text;
+      else if (!name) name = text;
+    }
+
+    if (!typeLine && name) {
+      typeLine = name;
+      name = null;
+    }
+    return { name, typeLine };
+  }
+
+  /**
+   * Item class keywords found in base type names. Order matters (Crossbow before Bow).
+   */
+  const ITEM_CLASS_PATTERNS = [
+    [/\bCrossbow\b/i, 'Crossbow'],
+    [/\bBow\b/i, 'Bow'],
+    [/\bQuarterstaff\b/i, 'Quarterstaff'],
+    [/\bStaff\b/i, 'Staff'],
+    [/\bSpear\b/i, 'Spear'],
+    [/\b(?:Maul|Great\s*(?:club|hammer|mace)|Sledgehammer)\b/i, 'Two Hand Mace'],
+    [/\b(?:Mace|Club|Hammer|Warpick|Morning\s+Star)\b/i, 'One Hand Mace'],
+    [/\bFlail\b/i, 'Flail'],
+    [/(?:\bGreat\s*|\bLong|\bBastard\s*|\bTwo[- ]Hand(?:ed)?\s+)Sword\b/i, 'Two Hand Sword'],
+    [/Sword\b/i, 'One Hand Sword'],
+    [/(?:\bGreat\s*|\bPole|\bTwo[- ]Hand(?:ed)?\s+)Axe\b/i, 'Two Hand Axe'],
+    [/Axe\b/i, 'One Hand Axe'],
+    [/\bDagger\b/i, 'Dagger'],
+    [/\bClaw\b/i, 'Claw'],
+    [/\bWand\b/i, 'Wand'],
+    [/\bSceptre\b/i, 'Sceptre'],
+    [/\bFocus\b/i, 'Focus'],
+  ];
+
+  /**
+   * Best-effort item class from the base type line, e.g. "Obliterator Bow" -> "Bow".
+   *
+   * @param {string|null} typeLine
+   * @returns {string|null}
+   */
+  function inferItemClass(typeLine) {
+    if (!typeLine) return null;
+    for (const [pattern, itemClass] of ITEM_CLASS_PATTERNS) {
+      if (pattern.test(typeLine)) return itemClass;
+    }
+    return null;
+  }
+
+  /**
+   * Explicit mod text patterns that are prefixes on weapons; every other explicit is a suffix.
+   * Text-based because the trade site does not mark affix type.
+   */
+  const PREFIX_PATTERNS = [
+    /increased\s+Physical\s+Damage/i,
+    /^Adds\s+\d/i,
+    /of\s+Damage\s+as\s+Extra/i,
+    /increased\s+Elemental\s+Damage/i,
+    /Leech/i,
+  ];
+
+  /**
+   * Map an explicit mod line to a crafting mod group, so we never "craft" a second copy
+   * of a group the item already has.
+   */
+  const MOD_GROUP_PATTERNS = [
+    [/increased\s+Physical\s+Damage/i, 'increasedPhys'],
+    [/Adds\s+\d.*Physical\s+Damage/i, 'flatPhys'],
+    [/Adds\s+\d.*Fire\s+Damage/i, 'flatFire'],
+    [/Adds\s+\d.*Cold\s+Damage/i, 'flatCold'],
+    [/Adds\s+\d.*Lightning\s+Damage/i, 'flatLightning'],
+    [/Adds\s+\d.*Chaos\s+Damage/i, 'flatChaos'],
+    [/increased\s+Attack\s+Speed/i, 'increasedAttackSpeed'],
+    [/to\s+Critical\s+Hit\s+Chance/i, 'flatCritChance'],
+  ];
+
+  const MAX_AFFIXES_PER_TYPE = 3;
+
+  /**
+   * Rarity from the popup's rarity class (e.g. .rarePopup), falling back to header shape:
+   * two name lines = rare (or unique), one line = magic when it has explicits, else normal.
+   */
+  function parseRarity(itemRoot, explicitCount) {
+    const container = itemRoot.closest('.row') || itemRoot;
+    const popup = container.querySelector('.normalPopup, .magicPopup, .rarePopup, .uniquePopup');
+    if (popup) {
+      const m = popup.className.match(/\b(normal|magic|rare|unique)Popup\b/);
+      if (m) return m[1];
+    }
+    const header = parseItemHeader(itemRoot);
+    if (header.name) return 'rare';
+    return explicitCount > 0 ? 'magic' : 'normal';
+  }
+
+  function isCorrupted(itemRoot) {
+    const container = itemRoot.closest('.row') || itemRoot;
+    if (container.querySelector('.corrupted')) return true;
+    for (const el of container.querySelectorAll('.unmet, .unmet span')) {
+      if (/^Corrupted$/i.test((el.textContent || '').trim())) return true;
+    }
+    return false;
+  }
+
+  // Mod sources that take an affix slot.
+  const AFFIX_SOURCES = ['explicit', 'fractured', 'desecrated'];
+
+  /**
+   * Split affix lines into prefixes and suffixes.
+   *
+   * @param {Array<{ source: string, text: string }>} modLines
+   * @returns {{ prefixes: string[], suffixes: string[], groups: string[] }}
+   */
+  function classifyAffixes(modLines) {
+    const prefixes = [];
+    const suffixes = [];
+    const groups = new Set();
+
+    for (const { source, text } of modLines) {
+      if (!AFFIX_SOURCES.includes(source)) continue;
+      if (PREFIX_PATTERNS.some((re) => re.test(text))) prefixes.push(text);
+      else suffixes.push(text);
+      for (const [re, group] of MOD_GROUP_PATTERNS) {
+        if (re.test(text)) groups.add(group);
+      }
+    }
+    return { prefixes, suffixes, groups: Array.from(groups) };
+  }
+
+  /**
+   * Used and open affix slots from mod lines, rarity and corruption (see parseAffixes).
+   *
+   * @param {Array<{ source: string, text: string }>} modLines
+   * @param {string|null} rarity - null infers it from the number of affixes
+   * @param {boolean} corrupted
+   */
+  function countAffixes(modLines, rarity, corrupted) {
+    const { prefixes, suffixes, groups } = classifyAffixes(modLines);
+    const resolvedRarity = rarity || (prefixes.length + suffixes.length > 0 ? 'magic' : 'normal');
+    const craftable = !corrupted && resolvedRarity !== 'unique';
+    return {
+      rarity: resolvedRarity,
+      corrupted,
+      prefixes,
+      suffixes,
+      openPrefixes: craftable ? Math.max(0, MAX_AFFIXES_PER_TYPE - prefixes.length) : 0,
+      openSuffixes: craftable ? Math.max(0, MAX_AFFIXES_PER_TYPE - suffixes.length) : 0,
+      groups,
+    };
+  }
+
+  /**
+   * Count used and open affix slots. Explicit, fractured and desecrated mods all take a slot.
+   * Normal and magic items can be upgraded to rare, so they get the rare maximum;
+   * uniques and corrupted items cannot be crafted on.
+   *
+   * @param {Element} itemRoot
+   * @returns {{ rarity: string, corrupted: boolean, prefixes: string[], suffixes: string[],
+   *   openPrefixes: number, openSuffixes: number, groups: string[] }}
+   */
+  function parseAffixes(itemRoot) {
+    const root = itemRoot.closest('.itemPopupContainer') || itemRoot;
+    const modLines = parseModLines(root);
+    const { prefixes, suffixes } = classifyAffixes(modLines);
+    return countAffixes(modLines, parseRarity(root, prefixes.length + suffixes.length), isCorrupted(root));
+  }
+
   /**
    * Find the item content root within a row. Trade site may use different structures.
    *
@@ -272,7 +577,9 @@
    * Parse a weapon row and return final stats + modifiers for reverse-engineering.
    *
    * @param {Element} row - .row element
-   * @returns {{ final: object, mods: object, runeMods: object, runeSlotCount: number } | null}
+   * @returns {{ final: object, mods: object, runeMods: object, modLines: Array<object>,
+   *   modSources: Array<object>, runeSlotCount: number, name: string|null, typeLine: string|null,
+   *   itemClass: string|null, affixes: object } | null}
    */
   function parseWeaponRow(row) {
     const root = findItemRoot(row);
@@ -283,8 +590,15 @@
 
     const mods = parseModifiers(root);
     const runeMods = parseRuneModifiers(root);
+    const modLines = parseModLines(root);
+    const modSources = parseModifierSources(modLines);
     const runeSlotCount = parseRuneSlotCount(root);
-    return { final, mods, runeMods, runeSlotCount };
+    const { name, typeLine } = parseItemHeader(root);
+    const itemClass = inferItemClass(typeLine);
+    const affixes = parseAffixes(root);
+    return {
+      final, mods, runeMods, modLines, modSources, runeSlotCount, name, typeLine, itemClass, affixes,
+    };
   }
 
   /**
@@ -307,10 +621,20 @@
     window.PoeValueEvaluator = window.PoeValueEvaluator || {};
     window.PoeValueEvaluator.weaponParser = {
       parseFinalStats,
+      parseElementalDamage,
       parseModifiers,
+      parseModLines,
+      parseModifierSources,
+      parseItemHeader,
+      inferItemClass,
+      parseAffixes,
+      countAffixes,
+      parseRuneSlotCount,
+      findItemRoot,
       parseWeaponRow,
       parseAndReverseEngineer,
       parseModText,
+      emptyModifiers,
       parseRange,
       parseNum,
       getFieldText,
@@ -320,9 +644,23 @@
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
       parseFinalStats,
+      parseElementalDamage,
       parseModifiers,
+      parseModLines,
+      parseModifierSources,
+      parseItemHeader,
+      inferItemClass,
+      parseAffixes,
+      countAffixes,
+      parseRuneSlotCount,
+      findItemRoot,
       parseWeaponRow,
+      parseAndReverseEngineer,
       parseModText,
+      emptyModifiers,
+      parseRange,
+      parseNum,
+      getFieldText,
     };
   }
 })();